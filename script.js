@@ -18,9 +18,31 @@ let parsedData = {
 
 const state = {
     selectedIndices: new Set(),
-    issueMapping: new Map() // index -> color
+    symptoms: new Map(), // index -> symptom id of a selected key (absent = 'dead')
+    activeSymptom: 'dead', // Symptom given to keys clicked next, or EXTRA_KEY_MODE
+    extraReports: new Map(), // index of a pressed key -> Set of indices that fired along with it
+    extraSource: null, // Pressed key whose extra keys are being recorded
+    liveTest: null, // { keys: Map(KeyboardEvent.code -> indices) } while the key-press test runs
+    registeredKeys: new Set(), // Keys seen working by the key-press test or in an imported log
+    issueMapping: new Map(), // index -> color
+    partMapping: new Map(), // footprint ref or "net:<name>" -> color of the result naming it (PCB view)
+    focusedKey: null, // Key whose parts are ringed on the PCB view
+    focusedRef: null // Footprint clicked on the PCB view
 };
 
+// Symptoms a key can be tagged with; 'dead' is the original "doesn't respond" selection
+const SYMPTOMS = {
+    dead: { label: '無反応', color: '#dc2626' },
+    chatter: { label: 'チャタリング (二重入力)', color: '#f59e0b' },
+    ghost: { label: '隣のキーも入力される', color: '#8b5cf6' },
+    stuck: { label: '押しっぱなし', color: '#0891b2' },
+    wrong: { label: '別のキーが入力される', color: '#db2777' }
+};
+
+// Toolbar entry next to the symptoms: records "pressing A also fires B, C" instead of tagging keys
+const EXTRA_KEY_MODE = 'extra';
+const EXTRA_KEY_TOOL = { label: '同時に入力されるキーを記録', color: '#16a34a' };
+
 const ISSUE_COLORS = [
     '#3b82f6', // Blue
     '#f59e0b', // Amber
@@ -58,9 +80,23 @@ document.addEventListener('DOMContentLoaded', () => {
 
     // Event Listeners
     loadBtn.addEventListener('click', handleRepoLoad);
+    document.getElementById('cancelLoadBtn').addEventListener('click', cancelLoad);
+    document.getElementById('clearCacheBtn').addEventListener('click', clearCache);
+    renderCacheList();
+    initLocalSourceInputs();
     resetBtn.addEventListener('click', resetSelection);
     diagnoseBtn.addEventListener('click', diagnose);
+    document.getElementById('liveTestBtn').addEventListener('click', toggleLiveTest);
+    initLogImport();
+    initDbEditor();
+    document.getElementById('targetSelect').addEventListener('change', handleTargetChange);
+    document.getElementById('layoutSelect').addEventListener('change', handleLayoutChange);
     dlTemplateBtn.addEventListener('click', downloadTemplate);
+    renderSymptomBar();
+
+    document.getElementById('kicadFileInput').addEventListener('change', handleKicadImport);
+    document.getElementById('pcbFileInput').addEventListener('change', handlePcbImport);
+    document.getElementById('pcbFlip').addEventListener('change', drawPcb);
 
     const dbFileInput = document.getElementById('dbFileInput');
     if (dbFileInput) {
@@ -71,14 +107,23 @@ document.addEventListener('DOMContentLoaded', () => {
     repoInput.addEventListener('keypress', (e) => {
         if (e.key === 'Enter') handleRepoLoad();
     });
+
+    const tokenInput = document.getElementById('tokenInput');
+    tokenInput.value = getGitHubToken();
+    tokenInput.addEventListener('change', () => setGitHubToken(tokenInput.value.trim()));
+    tokenInput.addEventListener('keypress', (e) => {
+        if (e.key === 'Enter') {
+            setGitHubToken(tokenInput.value.trim());
+            handleRepoLoad();
+        }
+    });
 });
 
 
-// --- GitHub Fetcher ---
+// --- Repository Loading ---
 
 async function handleRepoLoad() {
     const repoInput = document.getElementById('repoInput');
-    const statusMsg = document.getElementById('statusMessage');
     const repo = repoInput.value.trim();
 
     if (!repo) {
@@ -86,1087 +131,5764 @@ async function handleRepoLoad() {
         return;
     }
 
-    setStatus("ファイルリストを取得中...", "loading");
+    await runLoad("ファイルリストを取得中...", async (signal) =>
+        new RepoFetcher(await createRepoSource(repo), { signal, onProgress: reportFetchProgress, label: repo })
+    );
+}
+
+let activeLoad = null; // AbortController of the load in progress
+let loadedConfig = null; // { files, targets, choices, choiceIndex, id, database } of the last successful load
 
-    try {
-        const fetcher = new GitHubFetcher(repo);
-        const filesData = await fetcher.fetchRelevantFiles();
+// Runs one load at a time; starting another or pressing the cancel button aborts the current one
+async function runLoad(statusText, createFetcher) {
+    if (activeLoad) activeLoad.abort();
+    const controller = new AbortController();
+    activeLoad = controller;
+    document.getElementById('cancelLoadBtn').classList.remove('hidden');
+    setStatus(statusText, "loading");
 
-        if (Object.keys(filesData).length === 0) {
-            throw new Error("関連ファイル (.dtsi, .overlay, .conf) が見つかりませんでした。");
+    try {
+        await loadFromFetcher(await createFetcher(controller.signal), controller.signal);
+    } catch (err) {
+        if (err.name === 'AbortError') {
+            // A newer load owns the status line when this one was replaced
+            if (activeLoad === controller) setStatus("読み込みをキャンセルしました。", "error");
+        } else {
+            handleLoadError(err);
+        }
+    } finally {
+        if (activeLoad === controller) {
+            activeLoad = null;
+            document.getElementById('cancelLoadBtn').classList.add('hidden');
         }
+        renderCacheList();
+    }
+}
 
-        setStatus("解析中...", "loading");
+function cancelLoad() {
+    if (activeLoad) activeLoad.abort();
+}
 
-        const parser = new ZMKParser();
-        parser.parse(filesData);
-        parsedData = parser.getResult();
+function reportFetchProgress(done, total) {
+    setStatus(`ファイルを取得中... ${done} / ${total} files`, "loading");
+}
 
-        if (parsedData.physicalKeys.length === 0) {
-            throw new Error("キー配置データ(Physical Layout)が見つかりませんでした。");
-        }
+// Shared by remote and local sources: any object with fetchRelevantFiles() / fetchDatabase()
+async function loadFromFetcher(fetcher, signal) {
+    const filesData = await fetcher.fetchRelevantFiles();
 
-        // Init UI
-        setStatus("解析完了", "success");
-        // Try to fetch matrix-diagnoser-database.json
-        setStatus("データベース検索中...", "loading");
-        try {
-            parsedData.database = await fetcher.fetchDatabase();
-            const dlContainer = document.getElementById('dlTemplateContainer');
-            const manualSection = document.getElementById('dbManualSection');
-            const guideLinkContainer = document.getElementById('guideLinkContainer');
-
-            if (parsedData.database) {
-                console.log("Database loaded successfully.");
-                dlContainer.classList.add('hidden');
-                manualSection.classList.add('hidden');
-                if (guideLinkContainer) guideLinkContainer.classList.add('hidden');
-            } else {
-                console.warn("Database not found.");
-                dlContainer.classList.remove('hidden');
-                manualSection.classList.remove('hidden');
-                if (guideLinkContainer) guideLinkContainer.classList.remove('hidden');
-            }
-        } catch (e) {
-            console.warn("Database fetch failed", e);
-            document.getElementById('dlTemplateContainer').classList.remove('hidden');
-            document.getElementById('dbManualSection').classList.remove('hidden');
-            const guideLinkContainer = document.getElementById('guideLinkContainer');
+    if (Object.keys(filesData).length === 0) {
+        throw new Error("関連ファイル (.dtsi, .overlay, .conf) が見つかりませんでした。");
+    }
+
+    setStatus("解析中...", "loading");
+
+    const targets = findBuildTargets(filesData);
+    const choices = buildTargetChoices(targets);
+    // Applied to parsedData only once the load can no longer be cancelled
+    const result = parseBuildChoice(filesData, choices[0] || null, targets);
+
+    if (result.physicalKeys.length === 0) {
+        throw new Error("キー配置データ(Physical Layout)が見つかりませんでした。");
+    }
+
+    // Init UI
+    setStatus("解析完了", "success");
+    // Try to fetch matrix-diagnoser-database.json
+    setStatus("データベース検索中...", "loading");
+    let databaseLoad = null; // prepareDatabase() result of the fetched database, shown once the load is applied
+    try {
+        const fetched = await fetcher.fetchDatabase();
+        if (fetched) {
+            databaseLoad = prepareDatabase(fetched, result, targets);
+            result.database = databaseLoad.database;
+        }
+        const dlContainer = document.getElementById('dlTemplateContainer');
+        const manualSection = document.getElementById('dbManualSection');
+        const guideLinkContainer = document.getElementById('guideLinkContainer');
+
+        if (result.database) {
+            console.log("Database loaded successfully.");
+            dlContainer.classList.add('hidden');
+            manualSection.classList.add('hidden');
+            if (guideLinkContainer) guideLinkContainer.classList.add('hidden');
+        } else {
+            console.warn("Database not found.");
+            dlContainer.classList.remove('hidden');
+            manualSection.classList.remove('hidden');
             if (guideLinkContainer) guideLinkContainer.classList.remove('hidden');
         }
+    } catch (e) {
+        if (e.name === 'AbortError') throw e;
+        console.warn("Database fetch failed", e);
+        result.database = null;
+        databaseLoad = { errors: [`データベースを読み込めませんでした: ${e.message}`], migrated: [] };
+        document.getElementById('dlTemplateContainer').classList.remove('hidden');
+        document.getElementById('dbManualSection').classList.remove('hidden');
+        const guideLinkContainer = document.getElementById('guideLinkContainer');
+        if (guideLinkContainer) guideLinkContainer.classList.remove('hidden');
+    }
 
-        // Init UI
+    // Init UI
+    signal.throwIfAborted();
+    closeDbEditor();
+    loadedConfig = {
+        files: filesData,
+        targets,
+        choices,
+        choiceIndex: 0,
+        // Names the repository's autosaved database draft; local folders go by their shields
+        id: (fetcher.snapshot && fetcher.snapshot.id) || (fetcher.source && fetcher.source.id) || targets.map(t => t.side).join('+') || 'local',
+        database: result.database // As loaded, before any edits
+    };
+    parsedData = result;
+    // A board imported for another keyboard no longer applies
+    document.getElementById('pcbArea').classList.add('hidden');
+    if (fetcher.cacheStatus === 'offline') {
+        setStatus("解析完了 (オフライン: 前回のキャッシュを使用しています)", "success");
+    } else if (fetcher.cacheStatus === 'hit') {
+        setStatus("解析完了 (キャッシュから読み込みました)", "success");
+    } else {
         setStatus("解析完了", "success");
-        document.getElementById('debugInterface').classList.remove('hidden');
-        document.getElementById('repoInstruction').classList.add('hidden'); // Hide instructions
-        initCanvas();
-
-    } catch (err) {
-        console.error(err);
-        setStatus(`エラー: ${err.message}`, "error");
-        document.getElementById('debugInterface').classList.add('hidden');
     }
+    clearKeyTags();
+    document.getElementById('resultArea').classList.add('hidden');
+    document.getElementById('debugInterface').classList.remove('hidden');
+    document.getElementById('repoInstruction').classList.add('hidden'); // Hide instructions
+    renderTargetSelect();
+    renderLayoutSelect();
+    renderChosenInfo();
+    initCanvas();
+    renderDatabaseReport('matrix-diagnoser-database.json', databaseLoad);
 }
 
-function setStatus(msg, type) {
-    const el = document.getElementById('statusMessage');
-    el.textContent = msg;
-    el.className = `status-message ${type}`;
+// Parses the files of one target picker entry (all files when build.yaml has no targets)
+function parseBuildChoice(filesData, choice, targets) {
+    const parser = new ZMKParser();
+    if (choice) {
+        parser.parse(filterFilesForTargets(filesData, choice.targets, targets), { targets: choice.targets });
+    } else {
+        parser.parse(filesData);
+    }
+    return parser.getResult();
 }
 
-class GitHubFetcher {
-    constructor(repoStr) {
-        // Robust parsing for various GitHub URL formats
-        // Supported:
-        // - user/repo
-        // - https://github.com/user/repo
-        // - https://github.com/user/repo/tree/branch-name
-        // - user/repo.git
+function renderTargetSelect() {
+    const bar = document.getElementById('targetBar');
+    const select = document.getElementById('targetSelect');
+    select.innerHTML = '';
+    loadedConfig.choices.forEach((choice, index) => {
+        const option = document.createElement('option');
+        option.value = index;
+        option.textContent = choice.label;
+        select.appendChild(option);
+    });
+    select.value = loadedConfig.choiceIndex;
+    bar.classList.toggle('hidden', loadedConfig.choices.length < 2);
+}
 
-        let cleaned = repoStr.trim();
-        cleaned = cleaned.replace(/^https?:\/\/github\.com\//, '');
-        cleaned = cleaned.replace(/\.git$/, '');
+// Re-parses the loaded files for another build target; the database stays, the selection is cleared
+function handleTargetChange(e) {
+    const index = parseInt(e.target.value);
+    if (!loadedConfig || Number.isNaN(index) || index === loadedConfig.choiceIndex) return;
 
-        this.branch = null;
+    const choice = loadedConfig.choices[index];
+    const result = parseBuildChoice(loadedConfig.files, choice, loadedConfig.targets);
+    if (result.physicalKeys.length === 0) {
+        setStatus(`エラー: ${choice.label} のキー配置データ(Physical Layout)が見つかりませんでした。`, "error");
+        e.target.value = loadedConfig.choiceIndex;
+        return;
+    }
 
-        // Check for /tree/ segment
-        if (cleaned.includes('/tree/')) {
-            const parts = cleaned.split('/tree/');
-            // parts[0] is "user/repo", parts[1] is "branch/path..."
-            this.repo = parts[0];
-            // Take the first segment after tree as branch (simple assumption)
-            // If branch has slashes, this might need more robust logic, but usually it's correct for URL from browser
-            // Actually, usually URL is .../tree/branchname/folder
-            // Let's assume everything after /tree/ is the branch or we treat it as ref
-            // But wait, if they paste "tree/main/config", we want branch="main", and search path relative to root?
-            // For now, let's treat the part after tree/ as the branch REF.
-            this.branch = parts[1].split('/')[0];
-            console.log(`Detected Branch: ${this.branch}`);
-        } else {
-            const parts = cleaned.split('/').filter(p => p.length > 0);
-            if (parts.length >= 2) {
-                this.repo = `${parts[0]}/${parts[1]}`;
-            } else {
-                this.repo = cleaned;
-            }
-        }
+    result.database = parsedData.database;
+    result.pcb = parsedData.pcb;
+    loadedConfig.choiceIndex = index;
+    parsedData = result;
+    clearKeyTags();
+    document.getElementById('resultArea').classList.add('hidden');
+    setStatus(`解析完了 (${choice.label})`, "success");
+    renderLayoutSelect();
+    renderChosenInfo();
+    initCanvas();
+    refreshDbEditor();
+    // The same database, checked against this target's pins and keys
+    if (parsedData.database) renderDatabaseReport(choice.label, { errors: [], migrated: [] });
+}
 
-        console.log(`Parsed Repo: '${this.repo}', Branch: '${this.branch || 'default'}'`);
+const CHOSEN_VIA_LABELS = {
+    'chosen': 'chosen',
+    'physical-layout': 'physical-layout から参照',
+    'fallback': '参照なし・自動選択',
+    'user': '手動選択'
+};
 
-        this.baseUrl = `https://api.github.com/repos/${this.repo}/contents`;
-    }
+// Shows which layout / transform / kscan nodes the diagnosis is based on
+function renderChosenInfo() {
+    const el = document.getElementById('chosenInfo');
+    const chosen = parsedData.chosen;
+    el.innerHTML = '';
+    if (!chosen) return;
+
+    const addRow = (label, info) => {
+        const row = document.createElement('div');
+        const name = document.createElement('strong');
+        name.textContent = `${label}: `;
+        row.appendChild(name);
+        let text = info
+            ? `${info.ref}${info.compatible ? ` (${info.compatible})` : ''} — ${CHOSEN_VIA_LABELS[info.via]}`
+            : '見つかりません';
+        if (info && info.children) {
+            text += ` / ${info.children.map(c => `${c.ref} [${c.mode}, +${c.rowOffset}行 +${c.colOffset}列]`).join(', ')}`;
+        }
+        row.appendChild(document.createTextNode(text));
+        el.appendChild(row);
+    };
 
-    async fetchRelevantFiles() {
-        // Strategy:
-        // 1. Get default branch if not specified.
-        // 2. Get recursive tree of the repo.
-        // 3. Filter for relevant files (.dtsi, .overlay, .keymap, .conf).
-        // 4. Fetch content for each file using API or raw URL.
-
-        if (!this.branch) {
-            this.branch = await this.getDefaultBranch();
-            console.log(`Using default branch: ${this.branch}`);
-        }
-
-        const tree = await this.getRecursiveTree(this.branch);
-        console.log(`Found ${tree.length} files in tree.`);
-
-        const relevantFiles = tree.filter(f =>
-            f.type === 'blob' && (
-                f.path.endsWith('.dtsi') ||
-                f.path.endsWith('.overlay') ||
-                f.path.endsWith('.keymap') ||
-                f.path.endsWith('.conf') ||
-                f.path.endsWith('build.yaml')
-            )
-        );
+    addRow('Physical Layout', chosen.layout);
+    addRow('Matrix Transform', chosen.transform);
+    const kscanSides = Object.keys(chosen.kscan);
+    if (kscanSides.length === 0) addRow('kscan', null);
+    kscanSides.forEach(side => addRow(`kscan [${side}]`, chosen.kscan[side]));
+}
 
-        console.log(`Relevant files found: ${relevantFiles.length}`);
+// Dropdown of the physical layouts found; only shown when there is more than one
+function renderLayoutSelect() {
+    const bar = document.getElementById('layoutBar');
+    const select = document.getElementById('layoutSelect');
+    const layouts = parsedData.layouts || [];
+    select.innerHTML = '';
+    layouts.forEach((layout, index) => {
+        const option = document.createElement('option');
+        option.value = index;
+        option.textContent = `${layout.name} (${layout.keys.length} keys)`;
+        select.appendChild(option);
+    });
+    select.value = parsedData.layoutIndex;
+    bar.classList.toggle('hidden', layouts.length < 2);
+}
 
-        const filesData = {};
-        for (const f of relevantFiles) {
-            const url = `https://raw.githubusercontent.com/${this.repo}/${this.branch}/${f.path}`;
-            try {
-                // Determine file name from path (e.g. "boards/shields/foo/foo.dtsi" -> "foo.dtsi")
-                // Or keep full path? The parser uses filenames to log. Let's keep full path or just filename.
-                // Keeping full path might be better for uniqueness but parser usually expects flat map or uses filename for logging.
-                // Let's use the full path as key to avoid collisions, but log just filename if needed.
-                filesData[f.path] = await this.fetchContent(url);
-                console.log(`Fetched: ${f.path}`);
-            } catch (e) {
-                console.warn(`Failed to fetch ${f.path}:`, e);
-            }
-        }
+// Switches the active layout. Selected keys, their symptoms and recorded extra keys carry over when the
+// same switch (side, pin row, pin column) exists in the new transform; a diagnosis on screen is re-run.
+function handleLayoutChange(e) {
+    const index = parseInt(e.target.value);
+    if (Number.isNaN(index) || index === parsedData.layoutIndex) return;
 
-        return filesData;
-    }
+    const keyOf = (idx) => {
+        const pos = locateMatrixPosition(parsedData.matrixMap[idx], getValidShields());
+        return `${pos.side}:${pos.physR}:${pos.physC}`;
+    };
+    const selectedKeys = new Map(Array.from(state.selectedIndices)
+        .filter(idx => parsedData.matrixMap[idx])
+        .map(idx => [keyOf(idx), getKeySymptom(idx)]));
+    const extraKeys = Array.from(state.extraReports)
+        .filter(([src]) => parsedData.matrixMap[src])
+        .map(([src, fired]) => [keyOf(src), Array.from(fired).filter(idx => parsedData.matrixMap[idx]).map(keyOf)]);
+    const registeredKeys = Array.from(state.registeredKeys).filter(idx => parsedData.matrixMap[idx]).map(keyOf);
+    const wasDiagnosed = !document.getElementById('resultArea').classList.contains('hidden');
+
+    ZMKParser.applyLayout(parsedData, index);
+
+    clearKeyTags();
+    const indexOf = new Map();
+    parsedData.matrixMap.forEach((m, idx) => {
+        if (m) indexOf.set(keyOf(idx), idx);
+    });
+    selectedKeys.forEach((symptom, key) => {
+        if (indexOf.has(key)) setKeySymptom(indexOf.get(key), symptom);
+    });
+    extraKeys.forEach(([src, fired]) => {
+        if (!indexOf.has(src)) return;
+        const carried = fired.filter(key => indexOf.has(key)).map(key => indexOf.get(key));
+        if (carried.length > 0) state.extraReports.set(indexOf.get(src), new Set(carried));
+    });
+    registeredKeys.forEach(key => {
+        if (indexOf.has(key)) state.registeredKeys.add(indexOf.get(key));
+    });
 
-    async getDefaultBranch() {
-        const url = `https://api.github.com/repos/${this.repo}`;
-        const res = await fetch(url);
-        if (!res.ok) throw new Error("Failed to fetch repo info");
-        const data = await res.json();
-        return data.default_branch;
+    renderChosenInfo();
+    initCanvas();
+    refreshDbEditor();
+    if (wasDiagnosed) {
+        diagnose();
+    } else {
+        document.getElementById('resultArea').classList.add('hidden');
     }
+}
 
-    async getRecursiveTree(sha) {
-        const url = `https://api.github.com/repos/${this.repo}/git/trees/${sha}?recursive=1`;
-        const res = await fetch(url);
-        if (!res.ok) throw new Error(`Failed to fetch tree: ${res.statusText}`);
-        const data = await res.json();
-        return data.tree; // Array of objects
-    }
+function handleLoadError(err) {
+    console.error(err);
+    setStatus(`エラー: ${err.message}`, "error");
+    document.getElementById('debugInterface').classList.add('hidden');
+}
 
-    async fetchContent(url) {
-        // For private repos, raw.githubusercontent with token header works if token is valid for the repo.
-        // But browser fetch to raw.githubusercontent might fail with CORS if no token?
-        // Actually raw.githubusercontent.com supports CORS but private repos need token.
-        // If user provided token (removed in this version), it would work.
-        // Without token, public repos work fine.
-        const res = await fetch(url);
-        if (!res.ok) throw new Error(`Failed to fetch content: ${url}`);
-        return await res.text();
-    }
+function setStatus(msg, type) {
+    const el = document.getElementById('statusMessage');
+    el.textContent = msg;
+    el.className = `status-message ${type}`;
+}
 
-    async fetchDatabase() {
-        // Try fetching matrix-diagnoser-database.json from root or config directory
-        const dbName = 'matrix-diagnoser-database.json';
-        const paths = [
-            dbName,
-            `config/${dbName}`,
-            'database.json' // Legacy support
-        ];
-
-        for (const path of paths) {
-            const url = `https://raw.githubusercontent.com/${this.repo}/${this.branch || 'main'}/${path}`;
-            try {
-                const res = await fetch(url);
-                if (res.ok) {
-                    console.log(`Found database at: ${url}`);
-                    return await res.json();
-                }
-            } catch (e) {
-                console.log(`Failed to fetch database at ${url}:`, e);
-            }
-        }
-        return null;
-    }
+// For names from the config or the database that end up inside innerHTML
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
 }
 
+// Copy of a database entry (pin, key or shield) with every name escaped
+function escapeEntry(entry) {
+    return entry && Object.fromEntries(Object.entries(entry).map(([field, value]) => [field, typeof value === 'string' ? escapeHtml(value) : value]));
+}
 
-// --- ZMK Parser ---
+// Files the parser cares about (.dtsi, .dts, .overlay, .keymap, .conf, build.yaml, and .h for #include)
+function isRelevantFile(path) {
+    return path.endsWith('.dtsi') ||
+        path.endsWith('.dts') ||
+        path.endsWith('.overlay') ||
+        path.endsWith('.keymap') ||
+        path.endsWith('.conf') ||
+        path.endsWith('.h') ||
+        path.endsWith('build.yaml');
+}
 
-class ZMKParser {
-    constructor() {
-        this.result = {
-            physicalKeys: [], // {x, y, w, h, r, rx, ry}
-            matrixMap: [], // {r, c}
-            pinMap: {}, // Dynamically keyed by shield name
-            matrixTransform: { rows: 0, cols: 0, colOffset: 0, rowOffset: 0 },
-            diodeDirection: 'col2row'
-        };
-        this.rawFiles = {};
-        this.shields = []; // List of shield names
-    }
+// Database lookup order, relative to the repository root
+const DATABASE_PATHS = [
+    'matrix-diagnoser-database.json',
+    'config/matrix-diagnoser-database.json',
+    'database.json' // Legacy support
+];
 
-    getResult() {
-        return this.result;
+// --- Repository Sources ---
+// A source exposes: getDefaultBranch(options), listTree(ref, options) -> [{ path, type }], readFile(path, ref, options) -> text.
+// `options.signal` aborts the underlying requests. `branch` is set when the URL names one explicitly.
+
+async function createRepoSource(input) {
+    // Explicit prefixes win: "gitlab:group/project", "gitea:https://host/owner/repo", "raw:https://host/base/"
+    const prefixed = /^(github|gitlab|gitea|forgejo|raw):(?!\/\/)(.*)$/i.exec(input);
+    if (prefixed) {
+        const kind = prefixed[1].toLowerCase();
+        const rest = prefixed[2].trim();
+        if (kind === 'github') return new GitHubSource(rest);
+        if (kind === 'gitlab') return new GitLabSource(/^https?:/.test(rest) ? rest : `https://gitlab.com/${rest}`);
+        if (kind === 'raw') return new RawUrlSource(rest);
+        return new GiteaSource(/^https?:/.test(rest) ? rest : `https://codeberg.org/${rest}`);
     }
 
-    parse(filesData) {
-        this.rawFiles = filesData;
+    // "user/repo" shorthand is GitHub
+    if (!/^https?:\/\//.test(input)) return new GitHubSource(input);
 
-        // 1. Parse Pre-processing (remove comments)
-        for (const [name, content] of Object.entries(this.rawFiles)) {
-            this.rawFiles[name] = this.stripComments(content);
-        }
+    const url = new URL(input);
+    const host = url.hostname.toLowerCase();
+    if (host === 'github.com' || host === 'www.github.com') return new GitHubSource(input);
+    if (host === 'gitlab.com' || host.includes('gitlab') || url.pathname.includes('/-/')) return new GitLabSource(input);
+    if (host === 'codeberg.org' || host.includes('gitea') || host.includes('forgejo')) return new GiteaSource(input);
 
-        // 2. Parse Build Config (for split side detection)
-        this.findAndParseBuildConfig();
+    // Self-hosted instance on an unknown host: ask the APIs
+    if (await GiteaSource.probe(input)) return new GiteaSource(input);
+    if (await GitLabSource.probe(input)) return new GitLabSource(input);
+    return new RawUrlSource(input);
+}
 
-        // 3. Parse Physical Layout
-        this.findAndParsePhysicalLayout();
+async function fetchJson(url, errorMessage, init = {}) {
+    const res = await fetch(url, init);
+    checkRateLimit(res);
+    if (!res.ok) throw new Error(`${errorMessage}: ${res.status} ${res.statusText}`);
+    return await res.json();
+}
 
-        // 4. Parse Matrix Transform
-        this.findAndParseMatrixTransform();
+async function fetchText(url, init = {}) {
+    const res = await fetch(url, init);
+    checkRateLimit(res);
+    if (!res.ok) throw new Error(`Failed to fetch content: ${url}`);
+    return await res.text();
+}
 
-        // 5. Parse Pin Config
-        this.findAndParsePinConfig();
+class RateLimitError extends Error {
+    constructor(message, resetAt) {
+        super(message);
+        this.name = 'RateLimitError';
+        this.resetAt = resetAt; // Date or null
     }
+}
 
-    findAndParseBuildConfig() {
-        this.shields = [];
-        for (const [name, content] of Object.entries(this.rawFiles)) {
-            if (name.endsWith('build.yaml')) {
-                console.log(`Found build.yaml: ${name}`);
-                // Match lines like "shield: mona2_r" or "shield: [corne_left, rpi_pico]"
-                const lines = content.split('\n');
-                lines.forEach(line => {
-                    const match = line.match(/shield:\s*(.*)/);
-                    if (match) {
-                        let value = match[1].trim();
-                        // Remove potential trailing comma or brackets if it's a multi-line list start
-                        // but let's assume standard single-line or bracketed line for now
-                        value = value.replace(/[\[\]]/g, ''); // Remove [ and ]
-                        
-                        const entries = value.split(',');
-                        entries.forEach(entry => {
-                            // Clean up quotes and take the first part
-                            let shieldEntry = entry.trim().replace(/["']/g, ''); // Remove " and '
-                            const baseShield = shieldEntry.split(/\s+/)[0];
-                            
-                            if (baseShield && baseShield !== 'settings_reset' && !this.shields.includes(baseShield)) {
-                                this.shields.push(baseShield);
-                                if (!this.result.pinMap[baseShield]) {
-                                    this.result.pinMap[baseShield] = { row: {}, col: {} };
-                                }
-                                console.log(`Identified Shield: ${baseShield}`);
-                            }
-                        });
-                    }
-                });
-            }
-        }
+// Throws RateLimitError for 403/429 responses that carry exhausted rate-limit headers (GitHub: X-RateLimit-*, GitLab: RateLimit-*)
+function checkRateLimit(res) {
+    if (res.status !== 403 && res.status !== 429) return;
+
+    const remaining = res.headers.get('X-RateLimit-Remaining') ?? res.headers.get('RateLimit-Remaining');
+    const retryAfter = res.headers.get('Retry-After');
+    if (remaining !== '0' && !retryAfter) return;
+
+    let resetAt = null;
+    if (retryAfter) {
+        resetAt = new Date(Date.now() + parseInt(retryAfter) * 1000);
+    } else {
+        const reset = res.headers.get('X-RateLimit-Reset') ?? res.headers.get('RateLimit-Reset');
+        if (reset) resetAt = new Date(parseInt(reset) * 1000);
     }
 
-    stripComments(text) {
-        // Remove C-style // and /* */, and Hash-style # comments
-        return text.replace(/\/\/.*$/gm, '')
-                   .replace(/\/\*[\s\S]*?\*\//g, '')
-                   .replace(/#.*$/gm, '');
+    const limit = res.headers.get('X-RateLimit-Limit') ?? res.headers.get('RateLimit-Limit');
+    let message = `API のレート制限に達しました${limit ? ` (上限 ${limit} 回/時)` : ''}。`;
+    if (resetAt) {
+        const minutes = Math.max(1, Math.ceil((resetAt.getTime() - Date.now()) / 60000));
+        message += `約 ${minutes} 分後 (${resetAt.toLocaleTimeString()}) に再試行してください。`;
     }
+    if (!getGitHubToken()) {
+        message += 'GitHub の場合、アクセストークンを設定すると上限が大きくなります。';
+    }
+    throw new RateLimitError(message, resetAt);
+}
 
-    findAndParsePhysicalLayout() {
-        // Strategy A: Check "chosen" node
-        let targetLabel = null;
-        const chosenRegex = /zmk,physical-layout\s*=\s*&([\w-]+);/;
-
-        for (const content of Object.values(this.rawFiles)) {
-            const match = chosenRegex.exec(content);
-            if (match) {
-                targetLabel = match[1];
-                console.log(`Found chosen physical layout label: ${targetLabel}`);
-                break;
-            }
-        }
+// The token lives in sessionStorage only, so it is gone once the tab is closed
+const GITHUB_TOKEN_KEY = 'zmk-diagnoser.github-token';
 
-        const genericLayoutRegex = /keys\s*=\s*<([\s\S]*?)>;/;
-        // Improved key regex to handle various spacing and optional format
-        // Supports: &key_physical_attrs w h x y r rx ry
-        // Supports: &key_physical_attrs w h x y (ignores rest if 0 0 0 or similar)
-        const keyAttrsRegex = /&key_physical_attrs\s+(\d+)\s+(\d+)\s+(\d+)\s+(\d+)\s+(?:(\(-?\d+\)|-?\d+)\s+(\d+)\s+(\d+)|0\s+0\s+0)/g;
+function getGitHubToken() {
+    return sessionStorage.getItem(GITHUB_TOKEN_KEY) || '';
+}
 
-        // Pass 1: Try explicit target label
-        if (targetLabel) {
-            for (const [filename, content] of Object.entries(this.rawFiles)) {
-                // Find node definition: "label: node {"
-                const labelRegex = new RegExp(`${targetLabel}\\s*:\\s*[\\w-]+\\s*\\{`);
-                const labelMatch = labelRegex.exec(content);
+function setGitHubToken(token) {
+    if (token) {
+        sessionStorage.setItem(GITHUB_TOKEN_KEY, token);
+    } else {
+        sessionStorage.removeItem(GITHUB_TOKEN_KEY);
+    }
+}
 
-                if (labelMatch) {
-                    console.log(`Found target layout node in ${filename}`);
-                    const layoutContentToParse = content.substring(labelMatch.index);
-                    if (this.parseKeysFromContent(layoutContentToParse, genericLayoutRegex, keyAttrsRegex)) {
-                        return;
-                    }
-                }
-            }
+// Splits "owner/repo/<marker>/branch/..." into the repo path and the branch after the marker
+function splitRepoPath(pathname, markers) {
+    const cleaned = pathname.replace(/^\/+|\/+$/g, '').replace(/\.git$/, '');
+    for (const marker of markers) {
+        const idx = cleaned.indexOf(`/${marker}/`);
+        if (idx !== -1) {
+            return {
+                repoPath: cleaned.substring(0, idx),
+                branch: cleaned.substring(idx + marker.length + 2).split('/')[0]
+            };
         }
+    }
+    return { repoPath: cleaned, branch: null };
+}
 
-        // Pass 2: Fallback - Look for any node with compatible = "zmk,physical-layout"
-        console.log("Pass 1 failed or no chosen label. Trying fallback strategy (compatible string)...");
-        const compatibleRegex = /compatible\s*=\s*"zmk,physical-layout"/;
+// Shield and board names of every build.yaml target (settings_reset excluded)
+function extractBuildNames(text) {
+    const names = { shields: new Set(), boards: new Set() };
+    parseBuildTargets(text).forEach(target => {
+        if (target.board) names.boards.add(target.board);
+        target.shields.filter(s => s !== 'settings_reset').forEach(s => names.shields.add(s));
+    });
+    return names;
+}
 
-        for (const [filename, content] of Object.entries(this.rawFiles)) {
-            const match = compatibleRegex.exec(content);
-            if (match) {
-                console.log(`Found compatible physical layout in ${filename}`);
-                // Start parsing from the match index (approximate node start)
-                // We assume keys property is nearby (after compatible)
-                const layoutContentToParse = content.substring(match.index);
-                if (this.parseKeysFromContent(layoutContentToParse, genericLayoutRegex, keyAttrsRegex)) {
-                    return;
-                }
+// Runs worker(item) over items with at most `limit` in flight. Stops on the first error or on abort.
+async function runPool(items, limit, worker, signal) {
+    let next = 0;
+    let failed = false;
+    const runner = async () => {
+        while (next < items.length && !failed) {
+            if (signal) signal.throwIfAborted();
+            const item = items[next++];
+            try {
+                await worker(item);
+            } catch (e) {
+                failed = true;
+                throw e;
             }
         }
+    };
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, runner));
+}
+
+const FETCH_CONCURRENCY = 6;
+
+class RepoFetcher {
+    constructor(source, { signal = null, onProgress = null, cache = repoCache, label = '' } = {}) {
+        this.source = source;
+        this.signal = signal;
+        this.onProgress = onProgress; // (done, total) => void
+        this.cache = cache;
+        this.label = label; // What the user typed, shown in the cache list
+        this.ref = null;
+        this.tree = null;
+        this.snapshot = null; // Cache entry backing this load, if any
+        this.cacheStatus = null; // 'hit' | 'offline' | null
     }
 
-    parseKeysFromContent(content, layoutRegex, keyAttrsRegex) {
-        const match = layoutRegex.exec(content);
-        if (match) {
-            const keysBlock = match[1];
-            let keyMatch;
-            let count = 0;
-            while ((keyMatch = keyAttrsRegex.exec(keysBlock)) !== null) {
-                let r = 0;
-                if (keyMatch[5]) {
-                    const rawR = keyMatch[5].replace(/[()]/g, '');
-                    // If rawR is "0", parseInt is 0.
-                    r = parseInt(rawR) / 100;
-                }
+    async fetchRelevantFiles() {
+        // Sources with a stable id and commit lookup are cached per commit SHA. Loads made with a token may
+        // be of a private repository, and the token is session-only, so their files are never written to disk.
+        if (!this.cache || !this.source.id || !this.source.getHeadSha || this.source.token) {
+            this.ref = this.source.branch || await this.source.getDefaultBranch({ signal: this.signal });
+            return await this.fetchFromSource(this.ref);
+        }
 
-                const k = {
-                    w: parseInt(keyMatch[1]) / 100,
-                    h: parseInt(keyMatch[2]) / 100,
-                    x: parseInt(keyMatch[3]) / 100,
-                    y: parseInt(keyMatch[4]) / 100,
-                    r: r,
-                    rx: keyMatch[6] ? parseInt(keyMatch[6]) / 100 : 0,
-                    ry: keyMatch[7] ? parseInt(keyMatch[7]) / 100 : 0
-                };
-                this.result.physicalKeys.push(k);
-                count++;
-            }
+        const headKey = `${this.source.id}#${this.source.branch || ''}`;
+        const head = await this.cache.getHead(headKey);
+        let sha;
+        try {
+            // A known default branch saves one request: a reload only asks for the head SHA
+            this.ref = this.source.branch || (head && head.ref) || await this.source.getDefaultBranch({ signal: this.signal });
+            sha = await this.source.getHeadSha(this.ref, { signal: this.signal });
+        } catch (e) {
+            // Offline (fetch throws TypeError) or rate-limited: fall back to the last snapshot of this repo
+            const offline = e.name === 'TypeError' || e instanceof RateLimitError;
+            const snapshot = offline && head ? await this.cache.getSnapshot(head.snapshotKey) : null;
+            if (!snapshot) throw e;
+            console.warn(`Using cached snapshot ${head.snapshotKey}:`, e);
+            this.snapshot = snapshot;
+            this.cacheStatus = 'offline';
+            return snapshot.files;
+        }
 
-            if (count > 0) {
-                console.log(`Parsed ${count} keys.`);
-                return true;
-            }
+        const snapshotKey = `${this.source.id}@${sha}`;
+        await this.cache.putHead({ key: headKey, ref: this.ref, snapshotKey });
+
+        const cached = await this.cache.getSnapshot(snapshotKey);
+        if (cached) {
+            this.snapshot = cached;
+            this.cacheStatus = 'hit';
+            return cached.files;
         }
-        return false;
+
+        // Pin the fetch to the SHA so the stored files match the key
+        const files = await this.fetchFromSource(sha);
+        this.snapshot = {
+            key: snapshotKey,
+            id: this.source.id,
+            label: this.label || this.source.id,
+            ref: this.ref,
+            sha,
+            files,
+            savedAt: Date.now()
+        };
+        await this.cache.putSnapshot(this.snapshot);
+        return files;
     }
 
-    findAndParseMatrixTransform() {
-        const rcRegex = /RC\(\s*(\d+)\s*,\s*(\d+)\s*\)/g;
-        const colOffsetRegex = /col-offset\s*=\s*<(\d+)>/;
-        const rowOffsetRegex = /row-offset\s*=\s*<(\d+)>/;
-
-        for (const [filename, content] of Object.entries(this.rawFiles)) {
-            // Identify side/shield based on filename
-            let shieldName = 'common';
-            for (const s of this.shields) {
-                if (filename.includes(s)) {
-                    shieldName = s;
-                    break;
-                }
-            }
+    async fetchFromSource(ref) {
+        // Strategy:
+        // 1. Get recursive tree of the repo at `ref`.
+        // 2. Fetch build.yaml and keep only files for its shields/boards, plus config/.
+        // 3. Fetch content for the remaining files concurrently.
+        // 4. Fetch the files they #include from elsewhere in the repo, and what those include in turn.
+        const options = { signal: this.signal };
+        this.ref = ref;
+        console.log(`Using ref: ${ref || '(none)'}`);
+
+        this.tree = await this.source.listTree(ref, options);
+        console.log(`Found ${this.tree.length} files in tree.`);
+
+        const relevantFiles = this.tree.filter(f => f.type === 'blob' && isRelevantFile(f.path));
+        console.log(`Relevant files found: ${relevantFiles.length}`);
 
-            // Transform Map
-            if (content.includes('map = <')) {
-                const mapBlockMatch = /map\s*=\s*<([\s\S]*?)>;/.exec(content);
-                if (mapBlockMatch) {
-                    let match;
-                    const map = [];
-                    while ((match = rcRegex.exec(mapBlockMatch[1])) !== null) {
-                        map.push({
-                            r: parseInt(match[1]),
-                            c: parseInt(match[2])
-                        });
-                    }
-                    if (map.length > this.result.matrixMap.length) {
-                        this.result.matrixMap = map;
-                        console.log(`Found Matrix Map in ${filename}: ${map.length} entries`);
-                    }
-                }
-            }
+        const filesData = {};
+        const buildFiles = relevantFiles.filter(f => f.path.endsWith('build.yaml'));
+        await this.fetchFiles(buildFiles, filesData, 0, buildFiles.length);
+
+        const names = { shields: new Set(), boards: new Set() };
+        buildFiles.forEach(f => {
+            if (filesData[f.path] === undefined) return;
+            const found = extractBuildNames(filesData[f.path]);
+            found.shields.forEach(n => names.shields.add(n));
+            found.boards.forEach(n => names.boards.add(n));
+        });
 
-            // Col Offset
-            if (content.includes('col-offset')) {
-                const match = colOffsetRegex.exec(content);
-                if (match && shieldName !== 'common') {
-                    if (!this.result.pinMap[shieldName]) this.result.pinMap[shieldName] = { row: {}, col: {} };
-                    this.result.pinMap[shieldName].colOffset = parseInt(match[1]);
-                    console.log(`Found Col Offset ${this.result.pinMap[shieldName].colOffset} for ${shieldName} in ${filename}`);
-                }
-            }
+        const scopedFiles = this.scopeToBuildTargets(relevantFiles, names)
+            .filter(f => !f.path.endsWith('build.yaml'));
+
+        const fetched = buildFiles.length + scopedFiles.length;
+        await this.fetchFiles(scopedFiles, filesData, buildFiles.length, fetched);
+        await this.fetchIncludes(scopedFiles, relevantFiles, filesData, fetched);
+        return filesData;
+    }
 
-            // Row Offset
-            if (content.includes('row-offset')) {
-                const match = rowOffsetRegex.exec(content);
-                if (match && shieldName !== 'common') {
-                    if (!this.result.pinMap[shieldName]) this.result.pinMap[shieldName] = { row: {}, col: {} };
-                    this.result.pinMap[shieldName].rowOffset = parseInt(match[1]);
-                    console.log(`Found Row Offset ${this.result.pinMap[shieldName].rowOffset} for ${shieldName} in ${filename}`);
+    // Shared .dtsi/.h files (e.g. a common board layout) can sit anywhere in the repo. They are resolved
+    // the same way the preprocessor resolves them later, against every relevant path in the tree.
+    async fetchIncludes(files, relevantFiles, filesData, doneBefore) {
+        const resolver = new Preprocessor(Object.fromEntries(relevantFiles.map(f => [f.path, ''])));
+        const byPath = new Map(relevantFiles.map(f => [f.path, f]));
+        let done = doneBefore;
+        let pending = files;
+        while (pending.length > 0) {
+            const missing = new Map();
+            pending.forEach(f => {
+                if (filesData[f.path] === undefined || !Preprocessor.isDeviceTreeFile(f.path)) return;
+                const text = Preprocessor.stripCComments(filesData[f.path]);
+                for (const match of text.matchAll(/^[ \t]*#[ \t]*include[ \t]*(?:"([^"]+)"|<([^>]+)>)/gm)) {
+                    const path = resolver.resolveInclude(match[1] || match[2], f.path, !!match[2]);
+                    if (path && filesData[path] === undefined && !missing.has(path)) missing.set(path, byPath.get(path));
                 }
-            }
+            });
+            pending = [...missing.values()];
+            if (pending.length === 0) return;
+            await this.fetchFiles(pending, filesData, done, done + pending.length);
+            done += pending.length;
         }
     }
 
-    findAndParsePinConfig() {
-        for (const [filename, content] of Object.entries(this.rawFiles)) {
-            // Parse diode-direction
-            const diodeMatch = /diode-direction\s*=\s*"([^"]+)"/.exec(content);
-            if (diodeMatch) {
-                this.result.diodeDirection = diodeMatch[1];
-                console.log(`Found diode-direction: ${this.result.diodeDirection} in ${filename}`);
-            }
-
-            // Identify side based on shields from build.yaml
-            let side = 'common';
-            for (const shield of this.shields) {
-                if (filename.includes(shield)) {
-                    side = shield;
-                    break;
-                }
-            }
+    scopeToBuildTargets(files, names) {
+        const targetNames = new Set([...names.shields, ...names.boards]);
+        if (targetNames.size === 0) return files; // No build.yaml: keep everything
 
-            const targetSides = side === 'common' ? this.shields : [side];
-            if (targetSides.length === 0 && side === 'common') {
-                // Fallback if no build.yaml or shields found yet
-                // (though build.yaml should be parsed first)
-                continue; 
-            }
+        // A directory is in scope when it holds a file named after a shield/board (e.g. boards/shields/corne/corne_left.overlay)
+        const dirOf = (path) => path.substring(0, path.lastIndexOf('/') + 1);
+        const baseName = (path) => path.substring(path.lastIndexOf('/') + 1).replace(/\.[^.]+$/, '');
+        const targetDirs = new Set(
+            files.filter(f => targetNames.has(baseName(f.path))).map(f => dirOf(f.path))
+        );
+
+        return files.filter(f =>
+            f.path.startsWith('config/') ||
+            targetDirs.has(dirOf(f.path)) ||
+            targetNames.has(baseName(f.path))
+        );
+    }
 
-            // Standard Matrix
-            if (content.includes('row-gpios') || content.includes('col-gpios')) {
-                const rowGpios = this.extractGpioList(content, 'row-gpios');
-                const colGpios = this.extractGpioList(content, 'col-gpios');
+    async fetchFiles(files, filesData, doneBefore, total) {
+        let done = doneBefore;
+        if (this.onProgress) this.onProgress(done, total);
 
-                targetSides.forEach(s => {
-                    if (!this.result.pinMap[s]) this.result.pinMap[s] = { row: {}, col: {} };
-                    if (Object.keys(rowGpios).length > 0) Object.assign(this.result.pinMap[s].row, rowGpios);
-                    if (Object.keys(colGpios).length > 0) Object.assign(this.result.pinMap[s].col, colGpios);
-                });
-                console.log(`Parsed Standard Pins for ${side} (applied to ${targetSides.join(', ')})`);
+        await runPool(files, FETCH_CONCURRENCY, async (f) => {
+            try {
+                // Full path as key to avoid collisions between shields with the same file name
+                filesData[f.path] = await this.source.readFile(f.path, this.ref, { signal: this.signal });
+                console.log(`Fetched: ${f.path}`);
+            } catch (e) {
+                // Every following request would fail the same way
+                if (e instanceof RateLimitError || e.name === 'AbortError') throw e;
+                console.warn(`Failed to fetch ${f.path}:`, e);
             }
+            done++;
+            if (this.onProgress) this.onProgress(done, total);
+        }, this.signal);
+    }
 
-            // Charlieplex
-            const hasGpios = /(?:^|[\s;])gpios\s*=/.test(content);
-            const isCharlieMode = (content.includes('compatible') && content.includes('zmk,kscan-gpio-charlieplex')) || 
-                                (hasGpios && !content.includes('row-gpios') && !content.includes('col-gpios'));
+    async fetchDatabase() {
+        // `database` is stored with the snapshot (null when the repo has none)
+        if (this.snapshot && this.snapshot.database !== undefined) {
+            return this.snapshot.database;
+        }
 
-            if (isCharlieMode) {
-                const gpios = this.extractGpioList(content, 'gpios');
-                const intGpios = this.extractGpioList(content, 'interrupt-gpios');
+        const database = await this.fetchDatabaseFromSource();
+        if (this.snapshot && this.cacheStatus !== 'offline') {
+            this.snapshot.database = database;
+            await this.cache.putSnapshot(this.snapshot);
+        }
+        return database;
+    }
 
-                targetSides.forEach(s => {
-                    if (!this.result.pinMap[s]) this.result.pinMap[s] = { row: {}, col: {} };
-                    if (Object.keys(gpios).length > 0) {
-                        if (!this.result.pinMap[s].gpios) this.result.pinMap[s].gpios = {};
-                        Object.assign(this.result.pinMap[s].gpios, gpios);
-                        this.result.diodeDirection = 'col2row'; // Charlieplex is always col2row
-                    }
-                    if (Object.keys(intGpios).length > 0) {
-                        this.result.pinMap[s].interrupt = Object.values(intGpios)[0];
-                    }
-                });
-                console.log(`Parsed Charlieplex/GPIO Pins for ${side} (applied to ${targetSides.join(', ')})`);
-            }
+    async fetchDatabaseFromSource() {
+        // Try fetching matrix-diagnoser-database.json from root or config directory.
+        // Sources that can list their tree skip paths that don't exist instead of requesting them.
+        const known = this.tree && !this.source.guessesTree ? new Set(this.tree.map(f => f.path)) : null;
 
-            // Direct GPIO
-            const isDirectMode = (content.includes('compatible') && content.includes('zmk,kscan-gpio-direct')) || 
-                               (content.includes('input-gpios') && !content.includes('row-gpios') && !content.includes('col-gpios'));
-            
-            if (isDirectMode) {
-                const directGpios = this.extractGpioList(content, 'input-gpios');
-                targetSides.forEach(s => {
-                    if (!this.result.pinMap[s]) this.result.pinMap[s] = { row: {}, col: {} };
-                    if (Object.keys(directGpios).length > 0) {
-                        if (!this.result.pinMap[s].direct) this.result.pinMap[s].direct = {};
-                        Object.assign(this.result.pinMap[s].direct, directGpios);
-                        this.result.diodeDirection = 'row2col'; // Direct is often row2col (Row 0 is GND)
-                    }
-                });
-                console.log(`Parsed Direct Pins for ${side} (applied to ${targetSides.join(', ')})`);
+        for (const path of DATABASE_PATHS) {
+            if (known && !known.has(path)) continue;
+            try {
+                const text = await this.source.readFile(path, this.ref, { signal: this.signal });
+                console.log(`Found database at: ${path}`);
+                return JSON.parse(text);
+            } catch (e) {
+                if (e instanceof RateLimitError || e.name === 'AbortError') throw e;
+                console.log(`Failed to fetch database at ${path}:`, e);
             }
         }
+        return null;
     }
+}
 
-    extractGpioList(content, propName) {
-        // Regex to match "propName = < ... >;" (multiline)
-        // Ensure the character before propName is not a hyphen or word char.
-        // JS doesn't always support (?<!), so use (^|[\s;]) prefix.
-        const regex = new RegExp(`(?:^|[\\s;])${propName}\\s*=[\\s\\S]*?<([\\s\\S]*?);`);
-        const match = regex.exec(content);
-        if (!match) return {};
-
-        const inner = match[1];
-        const pins = {};
-        let idx = 0;
+class GitHubSource {
+    constructor(repoStr) {
+        // Robust parsing for various GitHub URL formats
+        // Supported:
+        // - user/repo
+        // - https://github.com/user/repo
+        // - https://github.com/user/repo/tree/branch-name
+        // - user/repo.git
 
-        const tokens = inner.split(/[\s,<>]+/).filter(t => t.length > 0);
+        let cleaned = repoStr.trim();
+        cleaned = cleaned.replace(/^https?:\/\/(www\.)?github\.com\//, '');
 
-        for (let i = 0; i < tokens.length; i++) {
-            if (tokens[i].startsWith('&')) {
-                const phandle = tokens[i];
-                const pinNum = tokens[i + 1];
-                // Skip flags tokens[i+2] etc...
+        // Only the first segment after /tree/ is taken as the branch; branches containing slashes are not supported
+        const { repoPath, branch } = splitRepoPath(cleaned, ['tree', 'blob']);
+        const parts = repoPath.split('/').filter(p => p.length > 0);
+        this.repo = parts.length >= 2 ? `${parts[0]}/${parts[1]}` : repoPath;
+        this.branch = branch;
 
-                let readable = `${phandle} ${pinNum}`;
-                readable = readable.replace('&', '');
+        console.log(`Parsed GitHub Repo: '${this.repo}', Branch: '${this.branch || 'default'}'`);
 
-                // Removed simplification logic to keep raw names like "xiao_d 0"
+        this.id = `github:${this.repo}`;
+        this.token = getGitHubToken();
+    }
 
-                // For interrupt-gpios, there might be parens in flags like (GPIO_ACTIVE_HIGH | ...)?
-                // Our simple split might split keys. 
-                // But we act only on tokens starting with &.
+    get headers() {
+        return this.token ? { Authorization: `Bearer ${this.token}` } : {};
+    }
 
-                pins[idx] = readable;
-                idx++;
-            }
+    async getDefaultBranch({ signal } = {}) {
+        const res = await fetch(`https://api.github.com/repos/${this.repo}`, { headers: this.headers, signal });
+        checkRateLimit(res);
+        if (res.status === 401) throw new Error("アクセストークンが無効です。");
+        if (res.status === 404) {
+            // Private repositories look like missing ones without a token
+            throw new Error(this.token
+                ? "リポジトリが見つかりません。トークンにこのリポジトリへのアクセス権があるか確認してください。"
+                : "リポジトリが見つかりません。非公開リポジトリの場合はアクセストークンを入力してください。");
         }
+        if (!res.ok) throw new Error(`Failed to fetch repo info: ${res.status} ${res.statusText}`);
+        const data = await res.json();
+        return data.default_branch;
+    }
 
-        return pins;
+    async getHeadSha(ref, { signal } = {}) {
+        const url = `https://api.github.com/repos/${this.repo}/commits/${encodeURIComponent(ref)}`;
+        const sha = await fetchText(url, { headers: { ...this.headers, Accept: 'application/vnd.github.sha' }, signal });
+        return sha.trim();
+    }
+
+    async listTree(ref, { signal } = {}) {
+        const url = `https://api.github.com/repos/${this.repo}/git/trees/${ref}?recursive=1`;
+        const data = await fetchJson(url, "Failed to fetch tree", { headers: this.headers, signal });
+        return data.tree; // [{ path, type: 'blob' | 'tree' | 'commit' }]
+    }
+
+    async readFile(path, ref, { signal } = {}) {
+        if (this.token) {
+            // Authenticated reads go through the contents API with the raw media type, which works for private repos
+            const url = `https://api.github.com/repos/${this.repo}/contents/${path}?ref=${encodeURIComponent(ref)}`;
+            return await fetchText(url, { headers: { ...this.headers, Accept: 'application/vnd.github.raw' }, signal });
+        }
+        // raw.githubusercontent.com supports CORS for public repos and doesn't count against the API limit
+        return await fetchText(`https://raw.githubusercontent.com/${this.repo}/${ref}/${path}`, { signal });
     }
 }
 
+class GitLabSource {
+    constructor(urlStr) {
+        // Supported:
+        // - https://gitlab.com/group/subgroup/project
+        // - https://gitlab.example.com/group/project/-/tree/branch-name
+        const url = new URL(urlStr.trim());
+        const { repoPath, branch } = splitRepoPath(url.pathname, ['-/tree', '-/blob']);
+        this.origin = url.origin;
+        this.project = repoPath;
+        this.branch = branch;
+        this.apiBase = `${this.origin}/api/v4/projects/${encodeURIComponent(this.project)}`;
+        this.id = `gitlab:${this.origin}/${this.project}`;
+    }
 
-// --- Canvas & Rendering ---
+    static async probe(urlStr) {
+        try {
+            const source = new GitLabSource(urlStr);
+            const res = await fetch(source.apiBase);
+            return res.ok;
+        } catch (e) {
+            return false;
+        }
+    }
 
-const canvas = document.getElementById('keyboardCanvas');
-const ctx = canvas.getContext('2d');
+    async getDefaultBranch({ signal } = {}) {
+        const data = await fetchJson(this.apiBase, "Failed to fetch project info", { signal });
+        return data.default_branch;
+    }
 
-function initCanvas() {
-    if (parsedData.physicalKeys.length === 0) return;
+    async getHeadSha(ref, { signal } = {}) {
+        const data = await fetchJson(`${this.apiBase}/repository/commits/${encodeURIComponent(ref)}`, "Failed to fetch commit", { signal });
+        return data.id;
+    }
 
-    let maxX = 0;
-    let maxY = 0;
-    parsedData.physicalKeys.forEach(k => {
-        const x = k.x + (k.w || 1);
-        const y = k.y + (k.h || 1);
-        if (x > maxX) maxX = x;
-        if (y > maxY) maxY = y;
-    });
+    async listTree(ref, { signal } = {}) {
+        // Paginated via the X-Next-Page header
+        const tree = [];
+        let page = '1';
+        while (page) {
+            const url = `${this.apiBase}/repository/tree?recursive=true&per_page=100&ref=${encodeURIComponent(ref)}&page=${page}`;
+            const res = await fetch(url, { signal });
+            checkRateLimit(res);
+            if (!res.ok) throw new Error(`Failed to fetch tree: ${res.status} ${res.statusText}`);
+            tree.push(...(await res.json()));
+            page = res.headers.get('X-Next-Page');
+        }
+        return tree.map(f => ({ path: f.path, type: f.type }));
+    }
 
-    canvas.width = (maxX + 1) * U * SCALE;
-    canvas.height = (maxY + 1) * U * SCALE;
+    async readFile(path, ref, { signal } = {}) {
+        return await fetchText(`${this.apiBase}/repository/files/${encodeURIComponent(path)}/raw?ref=${encodeURIComponent(ref)}`, { signal });
+    }
+}
 
-    draw();
+class GiteaSource {
+    constructor(urlStr) {
+        // Gitea and Forgejo share the same API. Supported:
+        // - https://codeberg.org/owner/repo
+        // - https://git.example.com/owner/repo/src/branch/branch-name
+        const url = new URL(urlStr.trim());
+        const { repoPath, branch } = splitRepoPath(url.pathname, ['src/branch', 'src/tag', 'src/commit']);
+        const parts = repoPath.split('/').filter(p => p.length > 0);
+        if (parts.length < 2) throw new Error(`リポジトリの URL が正しくありません (owner/repo が含まれていません): ${urlStr.trim()}`);
+        this.origin = url.origin;
+        this.repo = `${parts[0]}/${parts[1]}`;
+        this.branch = branch;
+        this.apiBase = `${this.origin}/api/v1/repos/${this.repo}`;
+        this.id = `gitea:${this.origin}/${this.repo}`;
+    }
+
+    static async probe(urlStr) {
+        try {
+            const source = new GiteaSource(urlStr);
+            const res = await fetch(source.apiBase);
+            return res.ok;
+        } catch (e) {
+            return false;
+        }
+    }
+
+    async getDefaultBranch({ signal } = {}) {
+        const data = await fetchJson(this.apiBase, "Failed to fetch repo info", { signal });
+        return data.default_branch;
+    }
+
+    async getHeadSha(ref, { signal } = {}) {
+        const url = `${this.apiBase}/commits?sha=${encodeURIComponent(ref)}&limit=1`;
+        const commits = await fetchJson(url, "Failed to fetch commit", { signal });
+        return commits[0].sha;
+    }
+
+    async listTree(ref, { signal } = {}) {
+        // Paginated; `truncated` stays true while more pages remain
+        const tree = [];
+        for (let page = 1; ; page++) {
+            const url = `${this.apiBase}/git/trees/${encodeURIComponent(ref)}?recursive=true&per_page=1000&page=${page}`;
+            const data = await fetchJson(url, "Failed to fetch tree", { signal });
+            tree.push(...(data.tree || []));
+            if (!data.truncated || !data.tree || data.tree.length === 0) break;
+        }
+        return tree.map(f => ({ path: f.path, type: f.type }));
+    }
+
+    async readFile(path, ref, { signal } = {}) {
+        const encodedPath = path.split('/').map(encodeURIComponent).join('/');
+        return await fetchText(`${this.apiBase}/raw/${encodedPath}?ref=${encodeURIComponent(ref)}`, { signal });
+    }
 }
 
-function draw() {
-    ctx.clearRect(0, 0, canvas.width, canvas.height);
-    ctx.save();
-    ctx.scale(SCALE, SCALE);
+class RawUrlSource {
+    constructor(urlStr) {
+        // A plain static file host ("https://example.com/zmk-config/") that can't list directories
+        this.base = urlStr.trim().replace(/\/+$/, '');
+        this.branch = null;
+        this.guessesTree = true;
+    }
 
-    parsedData.physicalKeys.forEach((key, index) => {
-        drawKey(key, index, state.selectedIndices.has(index));
-    });
+    async getDefaultBranch() {
+        return null;
+    }
 
-    ctx.restore();
+    async listTree(ref, { signal } = {}) {
+        // Without a listing, derive the usual zmk-config layout from the shields named in build.yaml
+        let buildPath = null;
+        let buildText = '';
+        for (const path of ['build.yaml', 'config/build.yaml']) {
+            try {
+                buildText = await this.readFile(path, ref, { signal });
+                buildPath = path;
+                break;
+            } catch (e) {
+                // Not at this location; try the next one
+            }
+        }
+        if (!buildPath) throw new Error("build.yaml が見つかりませんでした (Raw URL ではリポジトリ直下または config/ に必要です)。");
+
+        const shields = extractBuildNames(buildText).shields;
+
+        const paths = new Set([buildPath]);
+        shields.forEach(shield => {
+            const base = shield.replace(/_(left|right|l|r)$/, '');
+            ['config/', ''].forEach(root => {
+                paths.add(`${root}${shield}.keymap`);
+                paths.add(`${root}${base}.keymap`);
+                paths.add(`${root}${shield}.conf`);
+                paths.add(`${root}${base}.conf`);
+                const dir = `${root}boards/shields/${base}/`;
+                paths.add(`${dir}${base}.dtsi`);
+                paths.add(`${dir}${base}-layouts.dtsi`);
+                paths.add(`${dir}${base}.overlay`);
+                paths.add(`${dir}${shield}.overlay`);
+                paths.add(`${dir}${shield}.conf`);
+            });
+        });
+        DATABASE_PATHS.forEach(p => paths.add(p));
+
+        return [...paths].map(path => ({ path, type: 'blob' }));
+    }
+
+    async readFile(path, ref, { signal } = {}) {
+        return await fetchText(`${this.base}/${path}`, { signal });
+    }
 }
 
-function drawKey(key, index, isSelected) {
-    const x = key.x * U;
-    const y = key.y * U;
-    const w = (key.w || 1) * U;
-    const h = (key.h || 1) * U;
 
-    ctx.save();
+// --- Repository Cache ---
+// IndexedDB store of fetched file sets. `snapshots` is keyed by "<source id>@<commit sha>",
+// `heads` remembers which snapshot a "<source id>#<branch>" pointed at last time.
 
-    if (key.r) {
-        const cx = key.rx * U;
-        const cy = key.ry * U;
-        ctx.translate(cx, cy);
-        ctx.rotate(key.r * Math.PI / 180);
-        ctx.translate(-cx, -cy);
+const CACHE_DB_NAME = 'zmk-diagnoser-cache';
+const CACHE_SNAPSHOTS_PER_REPO = 3;
+
+function idbRequest(req) {
+    return new Promise((resolve, reject) => {
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+    });
+}
+
+class RepoCache {
+    constructor() {
+        this.dbPromise = null;
     }
 
-    const issueColor = state.issueMapping.get(index);
-    
-    roundRect(ctx, x, y, w, h, 8);
+    open() {
+        if (!this.dbPromise) {
+            const req = indexedDB.open(CACHE_DB_NAME, 1);
+            req.onupgradeneeded = () => {
+                req.result.createObjectStore('snapshots', { keyPath: 'key' });
+                req.result.createObjectStore('heads', { keyPath: 'key' });
+            };
+            this.dbPromise = idbRequest(req);
+        }
+        return this.dbPromise;
+    }
 
-    if (issueColor) {
-        // Highlighted key: Light fill, solid border
-        ctx.save();
-        ctx.globalAlpha = 0.25;
-        ctx.fillStyle = issueColor;
-        ctx.fill();
-        ctx.restore();
+    // Storage errors (private browsing, quota) only disable caching; they never fail a load
+    async run(storeName, mode, operation) {
+        try {
+            const db = await this.open();
+            return await idbRequest(operation(db.transaction(storeName, mode).objectStore(storeName)));
+        } catch (e) {
+            console.warn(`Cache ${storeName} access failed:`, e);
+            return null;
+        }
+    }
 
-        ctx.strokeStyle = issueColor;
-        ctx.lineWidth = 3;
-        ctx.stroke();
-    } else {
-        // Normal key
-        ctx.fillStyle = isSelected ? themeColors.keySelected : themeColors.keyDefault;
-        ctx.strokeStyle = isSelected ? themeColors.keySelectedStroke : themeColors.keyStroke;
-        ctx.lineWidth = 2;
-        ctx.fill();
-        ctx.stroke();
+    async getHead(key) {
+        return await this.run('heads', 'readonly', store => store.get(key)) || null;
     }
 
-    ctx.fillStyle = isSelected ? '#7f1d1d' : '#475569';
-    ctx.font = '10px Inter';
-    ctx.textAlign = 'center';
-    ctx.textBaseline = 'middle';
+    async putHead(head) {
+        await this.run('heads', 'readwrite', store => store.put({ ...head, checkedAt: Date.now() }));
+    }
 
-    const m = parsedData.matrixMap[index];
-    if (m) {
-        ctx.fillText(`${m.r}, ${m.c}`, x + w / 2, y + h / 2);
+    async getSnapshot(key) {
+        return await this.run('snapshots', 'readonly', store => store.get(key)) || null;
     }
 
-    ctx.restore();
+    async putSnapshot(snapshot) {
+        await this.run('snapshots', 'readwrite', store => store.put(snapshot));
+
+        // Keep only the newest few commits of each repo
+        const sameRepo = (await this.listSnapshots()).filter(s => s.id === snapshot.id);
+        for (const old of sameRepo.slice(CACHE_SNAPSHOTS_PER_REPO)) {
+            await this.deleteSnapshot(old.key);
+        }
+    }
+
+    async listSnapshots() {
+        const all = await this.run('snapshots', 'readonly', store => store.getAll()) || [];
+        return all.sort((a, b) => b.savedAt - a.savedAt);
+    }
+
+    async deleteSnapshot(key) {
+        await this.run('snapshots', 'readwrite', store => store.delete(key));
+    }
+
+    async clear() {
+        await this.run('snapshots', 'readwrite', store => store.clear());
+        await this.run('heads', 'readwrite', store => store.clear());
+    }
 }
 
-function roundRect(ctx, x, y, w, h, r) {
-    if (w < 2 * r) r = w / 2;
-    if (h < 2 * r) r = h / 2;
-    ctx.beginPath();
-    ctx.moveTo(x + r, y);
-    ctx.arcTo(x + w, y, x + w, y + h, r);
-    ctx.arcTo(x + w, y + h, x, y + h, r);
-    ctx.arcTo(x, y + h, x, y, r);
-    ctx.arcTo(x, y, x + w, y, r);
-    ctx.closePath();
+const repoCache = typeof indexedDB !== 'undefined' ? new RepoCache() : null;
+
+// Replays a stored snapshot through the same interface as RepoFetcher, without any network access
+class SnapshotFetcher {
+    constructor(snapshot) {
+        this.snapshot = snapshot;
+        this.cacheStatus = 'hit';
+    }
+
+    async fetchRelevantFiles() {
+        return this.snapshot.files;
+    }
+
+    async fetchDatabase() {
+        return this.snapshot.database || null;
+    }
 }
 
+async function renderCacheList() {
+    const panel = document.getElementById('cachePanel');
+    const list = document.getElementById('cacheList');
+    const snapshots = repoCache ? await repoCache.listSnapshots() : [];
 
-// --- Interaction ---
+    panel.classList.toggle('hidden', snapshots.length === 0);
+    list.innerHTML = '';
 
-function getKeyAt(screenX, screenY) {
-    for (let i = 0; i < parsedData.physicalKeys.length; i++) {
-        const k = parsedData.physicalKeys[i];
+    snapshots.forEach(snapshot => {
+        const li = document.createElement('li');
+        li.className = 'cache-item';
+
+        const info = document.createElement('span');
+        info.className = 'cache-info';
+        const savedAt = new Date(snapshot.savedAt).toLocaleString();
+        info.textContent = `${snapshot.label} (${snapshot.ref} @ ${snapshot.sha.substring(0, 7)}) - ${savedAt}`;
+
+        const openBtn = document.createElement('button');
+        openBtn.className = 'btn btn-secondary btn-cache';
+        openBtn.textContent = '開く';
+        openBtn.addEventListener('click', async () => {
+            document.getElementById('repoInput').value = snapshot.label;
+            await runLoad("キャッシュから読み込み中...", async () => new SnapshotFetcher(snapshot));
+        });
 
-        let tx = screenX;
-        let ty = screenY;
+        const deleteBtn = document.createElement('button');
+        deleteBtn.className = 'btn btn-secondary btn-cache';
+        deleteBtn.textContent = '削除';
+        deleteBtn.addEventListener('click', async () => {
+            await repoCache.deleteSnapshot(snapshot.key);
+            await renderCacheList();
+        });
 
-        if (k.r) {
-            const cx = k.rx * U;
-            const cy = k.ry * U;
-            let dx = tx - cx;
-            let dy = ty - cy;
-            const rad = -k.r * Math.PI / 180;
-            const cos = Math.cos(rad);
-            const sin = Math.sin(rad);
-            tx = dx * cos - dy * sin + cx;
-            ty = dx * sin + dy * cos + cy;
-        }
+        li.append(info, openBtn, deleteBtn);
+        list.appendChild(li);
+    });
+}
 
-        const kx = k.x * U;
-        const ky = k.y * U;
-        const kw = (k.w || 1) * U;
-        const kh = (k.h || 1) * U;
+async function clearCache() {
+    if (!repoCache) return;
+    await repoCache.clear();
+    await renderCacheList();
+    setStatus("キャッシュを削除しました。", "success");
+}
 
-        if (tx >= kx && tx <= kx + kw && ty >= ky && ty <= ky + kh) {
-            return i;
+
+// --- Local Source ---
+
+function initLocalSourceInputs() {
+    const folderBtn = document.getElementById('loadFolderBtn');
+    const folderInput = document.getElementById('folderInput');
+    const zipInput = document.getElementById('zipInput');
+    const dropZone = document.getElementById('uploadSection');
+
+    folderBtn.addEventListener('click', async () => {
+        // Prefer the File System Access API, fall back to <input webkitdirectory>
+        if (!window.showDirectoryPicker) {
+            folderInput.click();
+            return;
         }
-    }
-    return -1;
-}
+        let handle;
+        try {
+            handle = await window.showDirectoryPicker();
+        } catch (e) {
+            return; // Picker dismissed
+        }
+        await loadLocal(() => LocalSource.fromDirectoryHandle(handle));
+    });
 
-canvas.addEventListener('click', (e) => {
-    const rect = canvas.getBoundingClientRect();
-    const xx = e.clientX - rect.left;
-    const yy = e.clientY - rect.top;
+    folderInput.addEventListener('change', async (e) => {
+        const files = e.target.files;
+        if (files.length === 0) return;
+        await loadLocal(() => LocalSource.fromFileList(files));
+        folderInput.value = '';
+    });
 
-    const index = getKeyAt(xx / SCALE, yy / SCALE);
-    if (index !== -1) {
-        // If selection changes, previous diagnosis is invalid
-        state.issueMapping.clear();
-        document.getElementById('resultArea').classList.add('hidden');
+    zipInput.addEventListener('change', async (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+        await loadLocal(() => LocalSource.fromZip(file));
+        zipInput.value = '';
+    });
 
-        if (state.selectedIndices.has(index)) {
-            state.selectedIndices.delete(index);
+    dropZone.addEventListener('dragover', (e) => {
+        e.preventDefault();
+        dropZone.classList.add('dragover');
+    });
+    dropZone.addEventListener('dragleave', () => dropZone.classList.remove('dragover'));
+    dropZone.addEventListener('drop', async (e) => {
+        e.preventDefault();
+        dropZone.classList.remove('dragover');
+
+        const item = e.dataTransfer.items && e.dataTransfer.items[0];
+        const entry = item && item.webkitGetAsEntry ? item.webkitGetAsEntry() : null;
+        if (entry && entry.isDirectory) {
+            await loadLocal(() => LocalSource.fromDirectoryEntry(entry));
+            return;
+        }
+
+        const file = e.dataTransfer.files[0];
+        if (file && file.name.toLowerCase().endsWith('.zip')) {
+            await loadLocal(() => LocalSource.fromZip(file));
         } else {
-            state.selectedIndices.add(index);
+            setStatus("フォルダまたは .zip ファイルをドロップしてください。", "error");
         }
-        draw();
-    }
-});
+    });
+}
 
-function resetSelection() {
-    state.selectedIndices.clear();
-    state.issueMapping.clear();
-    draw();
-    document.getElementById('resultArea').classList.add('hidden');
+async function loadLocal(createSource) {
+    await runLoad("ローカルファイルを読み込み中...", async (signal) =>
+        new RepoFetcher(await createSource(), { signal, onProgress: reportFetchProgress, cache: null })
+    );
 }
 
+class LocalSource {
+    constructor(entries) {
+        // entries: [{ path, read: () => Promise<string> }]
+        // Paths are made relative to the repository root so that DATABASE_PATHS resolve the same way as remote sources.
+        this.entries = LocalSource.stripCommonRoot(entries);
+        this.branch = null;
+    }
 
-// --- Diagnostics ---
+    static stripCommonRoot(entries) {
+        // A picked folder ("zmk-config/...") or a GitHub zip ("zmk-config-main/...") wraps everything in one directory
+        const roots = new Set(entries.map(e => e.path.split('/')[0]));
+        const hasSingleRoot = roots.size === 1 && entries.every(e => e.path.includes('/'));
+        if (!hasSingleRoot) return entries;
 
-function diagnose() {
-    const resultArea = document.getElementById('resultArea');
-    const resultContent = document.getElementById('resultContent');
-    resultContent.innerHTML = '';
+        const prefixLength = [...roots][0].length + 1;
+        return entries.map(e => ({ ...e, path: e.path.substring(prefixLength) }));
+    }
 
-    if (state.selectedIndices.size === 0) {
-        resultArea.classList.add('hidden');
-        return;
+    static isIgnoredDir(name) {
+        return name === '.git' || name === 'node_modules';
     }
 
-    resultArea.classList.remove('hidden');
+    static fromFileList(fileList) {
+        const entries = Array.from(fileList)
+            .filter(f => !f.webkitRelativePath.split('/').some(LocalSource.isIgnoredDir))
+            .map(f => ({ path: f.webkitRelativePath || f.name, read: () => f.text() }));
+        return new LocalSource(entries);
+    }
 
-    state.issueMapping.clear();
-    const failures = analyzeFailures();
-    const ul = document.createElement('ul');
-    ul.className = 'diagnosis-list';
+    static async fromDirectoryHandle(dirHandle) {
+        const entries = [];
+        const walk = async (handle, prefix) => {
+            for await (const child of handle.values()) {
+                const path = `${prefix}${child.name}`;
+                if (child.kind === 'directory') {
+                    if (!LocalSource.isIgnoredDir(child.name)) await walk(child, `${path}/`);
+                } else {
+                    entries.push({ path, read: async () => (await child.getFile()).text() });
+                }
+            }
+        };
+        // Handle-based paths don't include the picked folder itself, so prefix it to keep stripCommonRoot uniform
+        await walk(dirHandle, `${dirHandle.name}/`);
+        return new LocalSource(entries);
+    }
 
-    failures.forEach((f, fIdx) => {
-        const color = ISSUE_COLORS[fIdx % ISSUE_COLORS.length];
-        
-        // Map keys to this color
-        if (f.indices) {
-            f.indices.forEach(kIdx => {
-                // If a key is part of multiple issues, the first one found wins or we can overwrite
-                if (!state.issueMapping.has(kIdx)) {
-                    state.issueMapping.set(kIdx, color);
+    static async fromDirectoryEntry(dirEntry) {
+        const entries = [];
+        const readAll = (reader) => new Promise((resolve, reject) => {
+            // readEntries() returns results in batches until an empty array
+            const all = [];
+            const next = () => reader.readEntries(batch => {
+                if (batch.length === 0) return resolve(all);
+                all.push(...batch);
+                next();
+            }, reject);
+            next();
+        });
+        const walk = async (entry, prefix) => {
+            for (const child of await readAll(entry.createReader())) {
+                const path = `${prefix}${child.name}`;
+                if (child.isDirectory) {
+                    if (!LocalSource.isIgnoredDir(child.name)) await walk(child, `${path}/`);
+                } else {
+                    entries.push({
+                        path,
+                        read: () => new Promise((resolve, reject) => child.file(f => f.text().then(resolve, reject), reject))
+                    });
                 }
-            });
+            }
+        };
+        await walk(dirEntry, `${dirEntry.name}/`);
+        return new LocalSource(entries);
+    }
+
+    static async fromZip(file) {
+        const zip = new ZipReader(await file.arrayBuffer());
+        const entries = zip.entries
+            .filter(e => !e.name.endsWith('/') && !e.name.split('/').some(LocalSource.isIgnoredDir))
+            .map(e => ({ path: e.name, read: () => zip.readText(e) }));
+        if (entries.length === 0) {
+            throw new Error("zip ファイルにファイルが含まれていません。");
         }
+        return new LocalSource(entries);
+    }
 
-        const li = document.createElement('li');
-        li.className = `diagnosis-item type-${f.type}`;
-        // Set CSS variable for the theme color
-        li.style.setProperty('--issue-color', color);
-        
-        let title = '';
-        let desc = '';
-
-        if (f.type === 'row') {
-            const info = getPinInfo(f.side, f.pin);
-            const silkName = info.silk === f.pin ? `${f.pin}` : info.silk;
-            title = `行 (Row) 全体の不具合 - ${f.side}`;
-            desc = `Pin: <strong>${silkName}</strong>`;
-            desc += `<div class="cause-box">
-                <strong>原因の候補:</strong><br>
-                このマイコンのピン (${silkName}) のハンダ付けを確認してください。
-            </div>`;
-        } else if (f.type === 'col') {
-            const info = getPinInfo(f.side, f.pin);
-            const silkName = info.silk === f.pin ? `${f.pin}` : info.silk;
-            title = `列 (Column) 全体の不具合 - ${f.side}`;
-            desc = `Pin: <strong>${silkName}</strong>`;
-            desc += `<div class="cause-box">
-                <strong>原因の候補:</strong><br>
-                このマイコンのピン (${silkName}) のハンダ付けを確認してください。
-            </div>`;
-        } else if (f.type === 'charlie') {
-            const info = getPinInfo(f.side, f.pin);
-            const silkName = info.silk === f.pin ? `${f.pin}` : info.silk;
-            const isInputFail = f.roleFail === 'in';
-            const isOutputFail = f.roleFail === 'out';
-            const isBothFail = f.roleFail === 'both';
-            
-            title = `Charlieplex GPIO ピン不具合 - ${f.side}`;
-            desc = `Pin: <strong>${silkName}</strong>`;
-            
-            if (isInputFail) {
-                desc += `<br>状態: <strong>信号受信用 (Input) としての動作不良</strong>`;
-                let diodeInfo = '';
-                if (info.line_diode) {
-                    diodeInfo += `Line Diode: <strong>${info.line_diode}</strong><br>`;
+    async getDefaultBranch() {
+        return null;
+    }
+
+    async listTree() {
+        return this.entries.map(e => ({ path: e.path, type: 'blob' }));
+    }
+
+    async readFile(path) {
+        const entry = this.entries.find(e => e.path === path);
+        if (!entry) throw new Error(`File not found: ${path}`);
+        return await entry.read();
+    }
+}
+
+// Minimal .zip reader (stored and deflate entries) built on DecompressionStream
+class ZipReader {
+    constructor(buffer) {
+        this.buffer = buffer;
+        this.view = new DataView(buffer);
+        this.entries = this.readCentralDirectory();
+    }
+
+    readCentralDirectory() {
+        // End of central directory record: signature 0x06054b50, searched backwards past the optional comment
+        const view = this.view;
+        let eocd = -1;
+        for (let i = view.byteLength - 22; i >= Math.max(0, view.byteLength - 22 - 0xffff); i--) {
+            if (view.getUint32(i, true) === 0x06054b50) {
+                eocd = i;
+                break;
+            }
+        }
+        if (eocd === -1) throw new Error("zip ファイルの形式が正しくありません。");
+
+        const count = view.getUint16(eocd + 10, true);
+        let offset = view.getUint32(eocd + 16, true);
+        if (offset === 0xffffffff) throw new Error("ZIP64 形式の zip には対応していません。");
+
+        const decoder = new TextDecoder();
+        const entries = [];
+        for (let i = 0; i < count; i++) {
+            if (view.getUint32(offset, true) !== 0x02014b50) break;
+            const nameLength = view.getUint16(offset + 28, true);
+            const extraLength = view.getUint16(offset + 30, true);
+            const commentLength = view.getUint16(offset + 32, true);
+            entries.push({
+                method: view.getUint16(offset + 10, true),
+                compressedSize: view.getUint32(offset + 20, true),
+                localOffset: view.getUint32(offset + 42, true),
+                name: decoder.decode(new Uint8Array(this.buffer, offset + 46, nameLength))
+            });
+            offset += 46 + nameLength + extraLength + commentLength;
+        }
+        return entries;
+    }
+
+    async readText(entry) {
+        // Local header has its own name/extra lengths, which may differ from the central directory
+        const local = entry.localOffset;
+        const dataStart = local + 30 + this.view.getUint16(local + 26, true) + this.view.getUint16(local + 28, true);
+        const data = new Uint8Array(this.buffer, dataStart, entry.compressedSize);
+
+        if (entry.method === 0) {
+            return new TextDecoder().decode(data);
+        }
+        if (entry.method === 8) {
+            const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+            return await new Response(stream).text();
+        }
+        throw new Error(`Unsupported zip compression method ${entry.method}: ${entry.name}`);
+    }
+}
+
+
+// --- Build Targets ---
+// build.yaml is a GitHub Actions matrix: top-level board x shield lists plus "include" entries with
+// board / shield / snippet / cmake-args. parseYaml covers the YAML this needs: block mappings and
+// sequences, flow [..] / {..} collections (also across lines), quoted and plain scalars, comments and
+// | / > block scalars. Anchors, tags and multi-document streams are not supported.
+
+function parseYaml(text) {
+    const lines = text.replace(/\r\n?/g, '\n').split('\n').map(raw => {
+        const content = stripYamlComment(raw).replace(/\s+$/, '');
+        return { raw, indent: raw.length - raw.replace(/^ +/, '').length, text: content.trim() };
+    });
+    const isBlank = (line) => line.text === '' || line.text === '---' || line.text === '...';
+
+    const nextLine = (i) => {
+        while (i < lines.length && isBlank(lines[i])) i++;
+        return i;
+    };
+
+    // Value of the block starting at line i (indented at least minIndent); returns [value, next index]
+    const parseBlock = (i, minIndent) => {
+        i = nextLine(i);
+        if (i >= lines.length || lines[i].indent < minIndent) return [null, i];
+        const line = lines[i];
+        if (line.text === '-' || line.text.startsWith('- ')) return parseSequence(i, line.indent);
+        if (yamlKeyMatch(line.text)) return parseMapping(i, line.indent);
+        return parseFlowLines(i, line.text);
+    };
+
+    const parseSequence = (i, indent) => {
+        const items = [];
+        while ((i = nextLine(i)) < lines.length && lines[i].indent === indent && /^-( |$)/.test(lines[i].text)) {
+            const line = lines[i];
+            const content = line.text.substring(1).trim();
+            if (!content) {
+                const [value, next] = parseBlock(i + 1, indent + 1);
+                items.push(value);
+                i = next;
+            } else if (yamlKeyMatch(content)) {
+                // "- key: value" starts a mapping indented at the position of "key"
+                line.indent = indent + line.text.length - content.length;
+                line.text = content;
+                const [value, next] = parseMapping(i, line.indent);
+                items.push(value);
+                i = next;
+            } else {
+                const [value, next] = parseFlowLines(i, content);
+                items.push(value);
+                i = next;
+            }
+        }
+        return [items, i];
+    };
+
+    const parseMapping = (i, indent) => {
+        const map = {};
+        let match;
+        while ((i = nextLine(i)) < lines.length && lines[i].indent === indent && (match = yamlKeyMatch(lines[i].text))) {
+            const key = parseYamlScalar(match[1]);
+            const rest = match[2].trim();
+            if (/^[|>][-+0-9]*$/.test(rest)) {
+                [map[key], i] = parseBlockScalar(i + 1, indent, rest[0] === '>');
+            } else if (rest) {
+                [map[key], i] = parseFlowLines(i, rest);
+            } else {
+                // Nested block; a sequence may sit at the same indent as its key
+                const next = nextLine(i + 1);
+                if (next < lines.length && lines[next].indent === indent && /^-( |$)/.test(lines[next].text)) {
+                    [map[key], i] = parseSequence(next, indent);
                 } else {
-                    diodeInfo += `<strong>(関連する Line Diode)</strong><br>`;
+                    [map[key], i] = parseBlock(i + 1, indent + 1);
                 }
-                if (info.interrupt_diode) {
-                    diodeInfo += `Interrupt Diode: <strong>${info.interrupt_diode}</strong><br>`;
-                } else { // Heuristic: Charlieplex pins usually have Int Diodes
-                    diodeInfo += `<strong>(関連する Interrupt Diode)</strong><br>`;
+            }
+        }
+        return [map, i];
+    };
+
+    const parseBlockScalar = (i, parentIndent, folded) => {
+        const body = [];
+        let indent = null;
+        for (; i < lines.length; i++) {
+            const raw = lines[i].raw;
+            if (raw.trim() === '') {
+                body.push('');
+                continue;
+            }
+            if (lines[i].indent <= parentIndent) break;
+            if (indent === null) indent = lines[i].indent;
+            body.push(raw.substring(indent));
+        }
+        while (body.length > 0 && body[body.length - 1] === '') body.pop();
+        return [body.join(folded ? ' ' : '\n'), i];
+    };
+
+    // A scalar or flow collection on line i; [ / { may continue on the following lines
+    const parseFlowLines = (i, text) => {
+        let source = text;
+        let end = i + 1;
+        if (/^[\[{]/.test(text)) {
+            while (!yamlFlowClosed(source) && end < lines.length) {
+                source += ' ' + lines[end].text;
+                end++;
+            }
+        }
+        return [parseYamlFlow(source), end];
+    };
+
+    return parseBlock(0, 0)[0];
+}
+
+// "key: value" / "key:" (quoted keys allowed); null for anything else
+function yamlKeyMatch(text) {
+    return /^("(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^\s\-\[\]{},#&*!|>'"%@`][^:]*?|-[^\s:][^:]*?)\s*:(?:\s+(.*)|$)/.exec(text)
+        ?.slice(0, 3).map(v => v ?? '') || null;
+}
+
+function stripYamlComment(line) {
+    let quote = null;
+    for (let i = 0; i < line.length; i++) {
+        const ch = line[i];
+        if (quote) {
+            if (ch === '\\' && quote === '"') i++;
+            else if (ch === quote) quote = null;
+        } else if (ch === '"' || ch === "'") {
+            quote = ch;
+        } else if (ch === '#' && (i === 0 || /\s/.test(line[i - 1]))) {
+            return line.substring(0, i);
+        }
+    }
+    return line;
+}
+
+function yamlFlowClosed(text) {
+    let depth = 0;
+    let quote = null;
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (quote) {
+            if (ch === '\\' && quote === '"') i++;
+            else if (ch === quote) quote = null;
+        } else if (ch === '"' || ch === "'") quote = ch;
+        else if (ch === '[' || ch === '{') depth++;
+        else if (ch === ']' || ch === '}') depth--;
+    }
+    return depth <= 0;
+}
+
+function parseYamlFlow(text) {
+    let pos = 0;
+    const skip = () => {
+        while (pos < text.length && /\s/.test(text[pos])) pos++;
+    };
+    const parseValue = (terminators) => {
+        skip();
+        if (text[pos] === '[') {
+            pos++;
+            const items = [];
+            while (skip(), pos < text.length && text[pos] !== ']') {
+                items.push(parseValue(',]'));
+                skip();
+                if (text[pos] === ',') pos++;
+            }
+            pos++;
+            return items;
+        }
+        if (text[pos] === '{') {
+            pos++;
+            const map = {};
+            while (skip(), pos < text.length && text[pos] !== '}') {
+                const key = parseValue(':,}');
+                skip();
+                let value = null;
+                if (text[pos] === ':') {
+                    pos++;
+                    value = parseValue(',}');
+                    skip();
                 }
-                
-                desc += `<div class="cause-box">
-                    <strong>原因の候補:</strong><br>
-                    ${diodeInfo}
-                    マイコンピン: <strong>${silkName}</strong><br>
-                    いずれかのハンダ不良が考えられます。
-                </div>`;
-            } else if (isOutputFail) {
-                desc += `<br>状態: <strong>信号送信用 (Output) としての動作不良</strong>`;
-                desc += `<div class="cause-box">
-                    <strong>原因の候補:</strong><br>
-                    マイコンピン: <strong>${silkName}</strong> のハンダ不良が考えられます。<br>
-                    (ダイオード故障では通常、送信側は影響を受けません)
-                </div>`;
-            } else if (isBothFail) {
-                desc += `<br>状態: <strong>送受信（双方向）の動作不良</strong>`;
-                desc += `<div class="cause-box">
-                    <strong>原因の候補:</strong><br>
-                    マイコンピン: <strong>${silkName}</strong> のハンダ不良が最も疑われます。
-                </div>`;
+                map[key] = value;
+                if (text[pos] === ',') pos++;
             }
-            
-            desc += `<br>このピンに関連する配線全体（複数のRow/Col）を確認してください。`;
-        } else if (f.type === 'direct') {
-            const info = getPinInfo(f.side, f.pin);
-            const m = parsedData.matrixMap[f.indices[0]]; // Assuming direct failure is for a single key
-            const silkName = getKeyInfo(m.r, m.c)?.silk_sw || `SW (RC:${m.r},${m.c})`;
-            title = "Direct GPIO 故障 - " + f.side;
-            desc = `スイッチ <strong>${silkName}</strong> が反応していません。`;
-            desc += `<br>このキーは GPIO ピン <strong>${info.silk}</strong> に直接接続されています。`;
-            desc += `<div class="cause-box">
-                <strong>原因の候補:</strong><br>
-                1. マイコンピン <strong>${info.silk}</strong> のハンダ不良<br>
-                2. スイッチ <strong>${silkName}</strong> 本体の故障またはハンダ不良<br>
-                3. スイッチソケットの浮き・ハンダ不良
-            </div>`;
-            desc += `<br>※この構成ではダイオードを使用しないため、スイッチ周りとマイコンピンの直通確認を行ってください。`;
-        } else if (f.type === 'direct_gnd') {
-            title = "共通 GND 不良の疑い - " + f.side;
-            const count = f.indices.length;
-            desc = `このシールドのほぼ全てのキー（${count}個）が反応していません。`;
-            desc += `<br>Direct GPIO 方式では、全スイッチが共通の GND ピンを共有しています。`;
-            desc += `<div class="cause-box">
-                <strong>原因の候補:</strong><br>
-                1. <strong>共通 GND ピン</strong>（マイコンまたは基板側）のハンダ不良<br>
-                2. 基板上の GND パターンの断線<br>
-                3. 電源周りの不備
-            </div>`;
-            desc += `<br>個別ピンの確認の前に、まずは GND ピンが確実にハンダ付けされているか確認してください。`;
-        } else if (f.type === 'interrupt') {
-            const info = getPinInfo(f.side, f.pin);
-            const silkName = info.silk === f.pin ? `${f.pin}` : info.silk;
-            title = `割り込み (Interrupt) GPIO 不具合 - ${f.side}`;
-            desc = `Pin: <strong>${silkName}</strong>`;
-            desc += `<div class="cause-box">
-                <strong>対策:</strong><br>
-                このピンが浮いている、または導通していないと、当該サイドの全てのキー入力が反応しません。
-                ハンダ付けを再確認してください。
-            </div>`;
-        } else if (f.type === 'single') {
-            const matrixR = f.r;
-            const matrixC = f.c;
-            const keyInfo = getKeyInfo(matrixR, matrixC);
-
-            title = `個別キーの不具合 - ${f.side}`;
-            if (keyInfo) {
-                desc = `Matrix: ${matrixR}, ${matrixC}`;
-                desc += `<div class="cause-box">
-                    <strong>確認部品:</strong><br>
-                    Switch: <strong>${keyInfo.silk_sw}</strong><br>
-                    Diode: <strong>${keyInfo.silk_d || '(関連するダイオード)'}</strong><br>
-                    該当するスイッチソケットおよびダイオードのハンダ付けを確認してください。
-                </div>`;
+            pos++;
+            return map;
+        }
+        if (text[pos] === '"' || text[pos] === "'") {
+            const quote = text[pos];
+            let end = pos + 1;
+            while (end < text.length && text[end] !== quote) end += text[end] === '\\' && quote === '"' ? 2 : 1;
+            if (quote === "'" && text[end + 1] === "'") {
+                // '' inside single quotes
+                end += 2;
+                while (end < text.length && !(text[end] === "'" && text[end + 1] !== "'")) end += text[end] === "'" ? 2 : 1;
+            }
+            const raw = text.substring(pos, end + 1);
+            pos = end + 1;
+            return parseYamlScalar(raw);
+        }
+        const start = pos;
+        while (pos < text.length && !terminators.includes(text[pos])) {
+            // ":" only ends a plain scalar when followed by a space (URLs keep theirs)
+            if (text[pos] === ':' && terminators.includes(':') && /\s|$/.test(text[pos + 1] || '')) break;
+            pos++;
+        }
+        return parseYamlScalar(text.substring(start, pos).trim());
+    };
+    return parseValue('');
+}
+
+function parseYamlScalar(text) {
+    if (text.startsWith('"') && text.endsWith('"') && text.length >= 2) {
+        return text.slice(1, -1).replace(/\\(["\\\/nt])/g, (m, c) => ({ n: '\n', t: '\t' }[c] || c));
+    }
+    if (text.startsWith("'") && text.endsWith("'") && text.length >= 2) {
+        return text.slice(1, -1).replace(/''/g, "'");
+    }
+    if (text === '' || text === '~' || text === 'null') return null;
+    if (text === 'true' || text === 'false') return text === 'true';
+    if (/^-?\d+$/.test(text)) return parseInt(text, 10);
+    return text;
+}
+
+// build.yaml -> [{ board, shields, snippets, cmakeArgs, artifactName, side, reset }]
+// side is the keyboard the target builds: its first shield, or the board for board-only targets
+function parseBuildTargets(text) {
+    let doc;
+    try {
+        doc = parseYaml(text);
+    } catch (e) {
+        console.warn("build.yaml could not be parsed", e);
+        return [];
+    }
+    if (!doc || typeof doc !== 'object' || Array.isArray(doc)) return [];
+
+    const list = (v) => (v == null ? [] : Array.isArray(v) ? v : [v]).filter(x => x != null).map(String);
+    const words = (v) => list(v).flatMap(s => s.split(/\s+/)).filter(Boolean);
+    const targets = [];
+    const seen = new Set();
+
+    const add = (entry) => {
+        const board = entry.board != null ? String(entry.board) : null;
+        const shields = words(entry.shield);
+        const snippets = words(entry.snippet);
+        const cmakeArgs = list(entry['cmake-args']).join(' ');
+        const key = [board, shields.join(' '), snippets.join(' '), cmakeArgs].join('|');
+        if ((!board && shields.length === 0) || seen.has(key)) return;
+        seen.add(key);
+        targets.push({
+            board,
+            shields,
+            snippets,
+            cmakeArgs,
+            artifactName: entry['artifact-name'] != null ? String(entry['artifact-name']) : null,
+            side: shields[0] || board,
+            reset: shields.includes('settings_reset') // Reset firmware, not a keyboard
+        });
+    };
+
+    // Matrix expansion of the top-level lists, then the explicit include entries
+    const boards = list(doc.board);
+    const shields = list(doc.shield);
+    boards.forEach(board => (shields.length > 0 ? shields : [null]).forEach(shield => add({ board, shield })));
+    if (Array.isArray(doc.include)) {
+        doc.include.forEach(entry => {
+            if (entry && typeof entry === 'object') add(entry);
+        });
+    }
+    return targets;
+}
+
+// Targets of every build.yaml in the file set
+function findBuildTargets(filesData) {
+    return Object.keys(filesData)
+        .filter(path => path.endsWith('build.yaml'))
+        .flatMap(path => {
+            const targets = parseBuildTargets(filesData[path]);
+            console.log(`Found build.yaml: ${path} (${targets.length} targets)`);
+            return targets;
+        });
+}
+
+// "corne_left" -> "corne": split halves share this name (and usually the keymap)
+function splitBaseName(name) {
+    return name.replace(/_(left|right|l|r|lh|rh)$/i, '');
+}
+
+// What the target picker offers: split halves built for the same board as one pair, then every
+// keyboard target on its own. The first entry is the default.
+function buildTargetChoices(targets) {
+    const keyboards = targets.filter(t => !t.reset);
+    const describe = (t) => `${t.shields.length > 0 ? t.shields.join(' ') : t.board}${t.shields.length > 0 && t.board ? ` — ${t.board}` : ''}`;
+
+    const groups = new Map();
+    keyboards.forEach(t => {
+        const key = `${t.board}|${splitBaseName(t.side)}`;
+        if (!groups.has(key)) groups.set(key, []);
+        const group = groups.get(key);
+        if (!group.some(g => g.side === t.side)) group.push(t);
+    });
+
+    const choices = [];
+    groups.forEach(group => {
+        if (group.length < 2) return;
+        choices.push({
+            label: `${group.map(t => t.side).join(' + ')}${group[0].board ? ` (${group[0].board})` : ''}`,
+            targets: group
+        });
+    });
+    keyboards.forEach(t => choices.push({ label: describe(t), targets: [t] }));
+    return choices;
+}
+
+// Drops the files that only belong to other targets: files named after another target's shield,
+// board or keyboard, and the directories holding them. Everything else (shared config, headers) stays.
+function filterFilesForTargets(filesData, selected, allTargets) {
+    const namesOf = (t) => [...t.shields, t.board, splitBaseName(t.side)].filter(Boolean);
+    const selectedNames = new Set(selected.flatMap(namesOf));
+    const otherNames = new Set(allTargets.filter(t => !selected.includes(t)).flatMap(namesOf)
+        .filter(n => !selectedNames.has(n)));
+
+    const stem = (path) => baseName(path).replace(/\.[^.]+$/, '');
+    const paths = Object.keys(filesData);
+    // The config/ root is shared by every target, so only deeper directories are dropped
+    const dirsOf = (names) => new Set(paths.filter(p => names.has(stem(p))).map(dirName)
+        .filter(d => d && d !== 'config'));
+    const selectedDirs = dirsOf(selectedNames);
+    const otherDirs = [...dirsOf(otherNames)].filter(d => !selectedDirs.has(d));
+
+    const files = {};
+    paths.forEach(path => {
+        const name = stem(path);
+        if (!selectedNames.has(name)) {
+            if (otherNames.has(name)) return;
+            if (otherDirs.some(d => path.startsWith(`${d}/`))) return;
+        }
+        files[path] = filesData[path];
+    });
+    return files;
+}
+
+
+// --- C Preprocessor ---
+// Devicetree sources go through cpp in the real build. This covers what ZMK configs use:
+// #include "..." / <...> resolved against the fetched files, object-like and function-like #define,
+// #undef, and #if / #ifdef / #ifndef / #elif / #else / #endif. Headers that aren't in the file set
+// (dt-bindings, behaviors.dtsi, ...) are skipped, so macros such as RC() stay as written.
+
+const PREPROCESSOR_DIRECTIVES = new Set([
+    'include', 'define', 'undef', 'if', 'ifdef', 'ifndef', 'elif', 'else', 'endif', 'error', 'warning', 'pragma', 'line'
+]);
+
+class Preprocessor {
+    constructor(files) {
+        this.files = files; // path -> raw text
+    }
+
+    static isDeviceTreeFile(path) {
+        return /\.(dtsi|dts|overlay|keymap|h)$/.test(path);
+    }
+
+    // Returns the preprocessed text of `path`. Included files contribute their macros; their text is
+    // emitted in place only with inlineIncludes (otherwise each file is still parsed on its own).
+    process(path, { inlineIncludes = false } = {}) {
+        this.macros = new Map();
+        this.inlineIncludes = inlineIncludes;
+        this.visited = new Set(); // Every file the last process() call read, `path` included
+        return this.processFile(path, []);
+    }
+
+    processFile(path, stack) {
+        this.visited.add(path);
+        const lines = Preprocessor.joinContinuations(Preprocessor.stripCComments(this.files[path] || '')).split('\n');
+        const out = [];
+        let pending = []; // Plain lines expanded together so macro calls may span lines
+        const conditions = []; // { active, taken, parentActive }
+        const isActive = () => conditions.length === 0 || conditions[conditions.length - 1].active;
+
+        const flush = () => {
+            if (pending.length === 0) return;
+            out.push(this.expand(pending.join('\n')));
+            pending = [];
+        };
+
+        for (const line of lines) {
+            // "#address-cells = <1>;" is a property, not a directive
+            const directive = /^\s*#\s*(\w+)\s*(.*)$/.exec(line);
+            if (!directive || !PREPROCESSOR_DIRECTIVES.has(directive[1]) || /^-/.test(directive[2])) {
+                if (isActive()) pending.push(line);
+                continue;
+            }
+
+            const [, name, rest] = directive;
+            if (name === 'ifdef' || name === 'ifndef' || name === 'if') {
+                const parentActive = isActive();
+                let cond = false;
+                if (parentActive) {
+                    if (name === 'if') cond = this.evaluateCondition(rest);
+                    else cond = this.macros.has(rest.trim()) === (name === 'ifdef');
+                }
+                conditions.push({ active: parentActive && cond, taken: cond, parentActive });
+                continue;
+            }
+            if (name === 'elif' || name === 'else') {
+                const top = conditions[conditions.length - 1];
+                if (!top) continue;
+                const cond = !top.taken && top.parentActive && (name === 'else' || this.evaluateCondition(rest));
+                top.active = cond;
+                top.taken = top.taken || cond;
+                continue;
+            }
+            if (name === 'endif') {
+                conditions.pop();
+                continue;
+            }
+            if (!isActive()) continue;
+
+            // Macro definitions change from here on, so expand what came before first
+            flush();
+            if (name === 'define') {
+                this.define(rest);
+            } else if (name === 'undef') {
+                this.macros.delete(rest.trim());
+            } else if (name === 'include') {
+                const included = this.include(rest, path, stack);
+                if (included !== null && this.inlineIncludes) out.push(included);
+            }
+            // #pragma, #error, #warning, #line: nothing to do for parsing
+        }
+        flush();
+        return out.join('\n');
+    }
+
+    include(rest, fromPath, stack) {
+        const match = /^(?:"([^"]+)"|<([^>]+)>)/.exec(rest.trim());
+        if (!match) return null;
+
+        const target = this.resolveInclude(match[1] || match[2], fromPath, !!match[2]);
+        if (!target) return null; // Not in the file set
+        if (stack.includes(target) || target === fromPath) return null;
+        return this.processFile(target, [...stack, fromPath]);
+    }
+
+    resolveInclude(name, fromPath, isSystem) {
+        // "..." is relative to the including file first; both forms then fall back to any file with that path suffix
+        if (!isSystem) {
+            const dir = fromPath.includes('/') ? fromPath.substring(0, fromPath.lastIndexOf('/') + 1) : '';
+            const relative = Preprocessor.normalizePath(dir + name);
+            if (this.files[relative] !== undefined) return relative;
+        }
+        const candidates = Object.keys(this.files)
+            .filter(p => p === name || p.endsWith(`/${name}`))
+            .sort((a, b) => a.length - b.length);
+        return candidates[0] || null;
+    }
+
+    static normalizePath(path) {
+        const parts = [];
+        path.split('/').forEach(part => {
+            if (part === '..') parts.pop();
+            else if (part !== '.' && part !== '') parts.push(part);
+        });
+        return parts.join('/');
+    }
+
+    define(rest) {
+        // "NAME(a, b) body" is function-like only when "(" follows the name without a space
+        const match = /^([A-Za-z_]\w*)(\(([^)]*)\))?\s*([\s\S]*)$/.exec(rest);
+        if (!match) return;
+        const params = match[2] !== undefined
+            ? match[3].split(',').map(p => p.trim()).filter(p => p.length > 0)
+            : null;
+        this.macros.set(match[1], { params, body: match[4].trim() });
+    }
+
+    evaluateCondition(expr) {
+        // defined(X) / defined X are resolved before expansion so X itself isn't expanded
+        const withDefined = expr.replace(/defined\s*(?:\(\s*([A-Za-z_]\w*)\s*\)|([A-Za-z_]\w*))/g,
+            (m, a, b) => (this.macros.has(a || b) ? '1' : '0'));
+        // Identifiers left after expansion evaluate to 0, as in C
+        const expanded = this.expand(withDefined).replace(/\b[A-Za-z_]\w*\b/g, '0');
+        try {
+            return evaluateCExpression(expanded) !== 0;
+        } catch (e) {
+            console.warn(`Cannot evaluate #if ${expr}:`, e);
+            return false;
+        }
+    }
+
+    // Rescans `text` for macro invocations; `disabled` holds macros being expanded (no recursion, as in C)
+    expand(text, disabled = new Set()) {
+        let out = '';
+        let i = 0;
+        while (i < text.length) {
+            const ch = text[i];
+            if (ch === '"') {
+                const end = Preprocessor.skipString(text, i);
+                out += text.substring(i, end);
+                i = end;
+                continue;
+            }
+            if (!/[A-Za-z_]/.test(ch) || (i > 0 && /[\w]/.test(text[i - 1]))) {
+                out += ch;
+                i++;
+                continue;
+            }
+
+            const ident = /^[A-Za-z_]\w*/.exec(text.substring(i))[0];
+            const macro = this.macros.get(ident);
+            i += ident.length;
+            if (!macro || disabled.has(ident)) {
+                out += ident;
+                continue;
+            }
+
+            if (macro.params === null) {
+                out += this.expand(macro.body, new Set([...disabled, ident]));
+                continue;
+            }
+
+            // Function-like macros only expand when followed by an argument list
+            const call = Preprocessor.readArguments(text, i);
+            if (!call) {
+                out += ident;
+                continue;
+            }
+            const args = call.args.map(a => this.expand(a.trim(), disabled));
+            out += this.expand(this.substitute(macro, args), new Set([...disabled, ident]));
+            i = call.end;
+        }
+        return out;
+    }
+
+    substitute(macro, args) {
+        const values = new Map();
+        macro.params.forEach((p, idx) => {
+            if (p === '...') values.set('__VA_ARGS__', args.slice(idx).join(', '));
+            else values.set(p, args[idx] !== undefined ? args[idx] : '');
+        });
+
+        const body = macro.body;
+        let out = '';
+        let i = 0;
+        while (i < body.length) {
+            if (body.startsWith('##', i)) {
+                // Token pasting: drop the whitespace on both sides
+                out = out.replace(/\s+$/, '');
+                i += 2;
+                while (i < body.length && /\s/.test(body[i])) i++;
+                continue;
+            }
+            if (body[i] === '#') {
+                const stringify = /^#\s*([A-Za-z_]\w*)/.exec(body.substring(i));
+                if (stringify && values.has(stringify[1])) {
+                    out += JSON.stringify(values.get(stringify[1]));
+                    i += stringify[0].length;
+                    continue;
+                }
+            }
+            if (body[i] === '"') {
+                const end = Preprocessor.skipString(body, i);
+                out += body.substring(i, end);
+                i = end;
+                continue;
+            }
+            if (/[A-Za-z_]/.test(body[i]) && (i === 0 || !/\w/.test(body[i - 1]))) {
+                const ident = /^[A-Za-z_]\w*/.exec(body.substring(i))[0];
+                out += values.has(ident) ? values.get(ident) : ident;
+                i += ident.length;
+                continue;
+            }
+            out += body[i];
+            i++;
+        }
+        return out;
+    }
+
+    // Reads "(a, (b, c), d)" starting at `pos` (whitespace allowed before "("); null if no call follows
+    static readArguments(text, pos) {
+        let i = pos;
+        while (i < text.length && /\s/.test(text[i])) i++;
+        if (text[i] !== '(') return null;
+
+        const args = [];
+        let depth = 0;
+        let current = '';
+        for (i = i + 1; i < text.length; i++) {
+            const ch = text[i];
+            if (ch === '"') {
+                const end = Preprocessor.skipString(text, i);
+                current += text.substring(i, end);
+                i = end - 1;
+                continue;
+            }
+            if (ch === '(') depth++;
+            if (ch === ')') {
+                if (depth === 0) {
+                    if (current.trim() !== '' || args.length > 0) args.push(current);
+                    return { args, end: i + 1 };
+                }
+                depth--;
+            }
+            if (ch === ',' && depth === 0) {
+                args.push(current);
+                current = '';
+                continue;
+            }
+            current += ch;
+        }
+        return null; // Unbalanced
+    }
+
+    static skipString(text, start) {
+        let i = start + 1;
+        while (i < text.length && text[i] !== '"') {
+            if (text[i] === '\\') i++;
+            i++;
+        }
+        return i + 1;
+    }
+
+    static stripCComments(text) {
+        // Removes // and /* */ outside string literals; block comments keep their newlines so line-based directives still line up
+        let out = '';
+        let i = 0;
+        while (i < text.length) {
+            if (text[i] === '"') {
+                const end = Preprocessor.skipString(text, i);
+                out += text.substring(i, end);
+                i = end;
+            } else if (text.startsWith('//', i)) {
+                while (i < text.length && text[i] !== '\n') i++;
+            } else if (text.startsWith('/*', i)) {
+                const end = text.indexOf('*/', i + 2);
+                const comment = text.substring(i, end === -1 ? text.length : end + 2);
+                out += comment.replace(/[^\n]/g, '');
+                i += comment.length;
             } else {
-                desc = `Matrix: ${matrixR}, ${matrixC}`;
-                desc += `<div class="cause-box">
-                    <strong>確認内容:</strong><br>
-                    個別の接触不良が考えられます。<br>
-                    対象のスイッチと対応するスイッチソケット、ダイオードのハンダ付けを確認してください。
-                </div>`;
+                out += text[i];
+                i++;
+            }
+        }
+        return out;
+    }
+
+    static joinContinuations(text) {
+        return text.replace(/\\\r?\n/g, ' ');
+    }
+}
+
+// Integer C expression (as in #if and devicetree cell expressions): literals, unary - ! ~, binary
+// arithmetic / shift / comparison / bitwise / logical operators, ?: and parentheses.
+function evaluateCExpression(expr) {
+    const tokens = expr.match(/0[xX][0-9a-fA-F]+|\d+|<<|>>|<=|>=|==|!=|&&|\|\||[-+*\/%<>&|^!~?:()]/g) || [];
+    let pos = 0;
+    const peek = () => tokens[pos];
+    const take = () => tokens[pos++];
+
+    const binaryLevels = [
+        ['||'], ['&&'], ['|'], ['^'], ['&'], ['==', '!='], ['<', '>', '<=', '>='], ['<<', '>>'], ['+', '-'], ['*', '/', '%']
+    ];
+    const apply = (op, a, b) => {
+        switch (op) {
+            case '||': return (a || b) ? 1 : 0;
+            case '&&': return (a && b) ? 1 : 0;
+            case '|': return a | b;
+            case '^': return a ^ b;
+            case '&': return a & b;
+            case '==': return a === b ? 1 : 0;
+            case '!=': return a !== b ? 1 : 0;
+            case '<': return a < b ? 1 : 0;
+            case '>': return a > b ? 1 : 0;
+            case '<=': return a <= b ? 1 : 0;
+            case '>=': return a >= b ? 1 : 0;
+            case '<<': return a << b;
+            case '>>': return a >> b;
+            case '+': return a + b;
+            case '-': return a - b;
+            case '*': return a * b;
+            case '/': return b === 0 ? 0 : Math.trunc(a / b);
+            case '%': return b === 0 ? 0 : a % b;
+        }
+        throw new Error(`Unknown operator ${op}`);
+    };
+
+    const parseUnary = () => {
+        const t = take();
+        if (t === '-') return -parseUnary();
+        if (t === '+') return parseUnary();
+        if (t === '!') return parseUnary() ? 0 : 1;
+        if (t === '~') return ~parseUnary();
+        if (t === '(') {
+            const value = parseTernary();
+            if (take() !== ')') throw new Error(`Missing ) in ${expr}`);
+            return value;
+        }
+        if (t !== undefined && /^(0[xX][0-9a-fA-F]+|\d+)$/.test(t)) return Number(t);
+        throw new Error(`Unexpected token ${t} in ${expr}`);
+    };
+    const parseBinary = (level) => {
+        if (level === binaryLevels.length) return parseUnary();
+        let left = parseBinary(level + 1);
+        while (binaryLevels[level].includes(peek())) {
+            const op = take();
+            left = apply(op, left, parseBinary(level + 1));
+        }
+        return left;
+    };
+    const parseTernary = () => {
+        const cond = parseBinary(0);
+        if (peek() !== '?') return cond;
+        take();
+        const a = parseTernary();
+        if (take() !== ':') throw new Error(`Missing : in ${expr}`);
+        const b = parseTernary();
+        return cond ? a : b;
+    };
+
+    const value = parseTernary();
+    if (pos !== tokens.length) throw new Error(`Unexpected token ${peek()} in ${expr}`);
+    return value;
+}
+
+
+// --- Devicetree ---
+// Preprocessed .dtsi / .overlay / .keymap text is parsed straight into a DeviceTree, so applying
+// files one after another merges them the way dtc does: nodes with the same path are combined,
+// later properties win, and "&label { ... }" edits the node that carries that label.
+//
+// Property values are arrays of components:
+//   { type: 'string', value }              "text"
+//   { type: 'cells', cells: [...] }        <...>, items: { type: 'number', value } | { type: 'ref', label?, path? }
+//                                          | { type: 'expr', text } | { type: 'macro', name, args }
+//   { type: 'bytes', bytes }               [00 11]
+//   { type: 'ref', label?, path? }         &label outside cells
+// A boolean property has an empty array.
+
+class DeviceTreeNode {
+    constructor(name, parent) {
+        this.name = name;
+        this.parent = parent;
+        this.labels = [];
+        this.props = new Map();
+        this.children = new Map();
+        this.sources = []; // Files that contributed to this node
+    }
+
+    get path() {
+        if (!this.parent) return this.name === '/' ? '/' : this.name;
+        const parentPath = this.parent.path;
+        return `${parentPath === '/' ? '' : parentPath}/${this.name}`;
+    }
+
+    // "&label" when the node has one, otherwise its full path
+    get ref() {
+        return this.labels.length > 0 ? `&${this.labels[0]}` : this.path;
+    }
+
+    get compatible() {
+        const value = this.props.get('compatible');
+        return value ? value.filter(v => v.type === 'string').map(v => v.value) : [];
+    }
+
+    isCompatible(compat) {
+        return this.compatible.includes(compat);
+    }
+}
+
+class DeviceTree {
+    constructor() {
+        this.root = new DeviceTreeNode('/', null);
+        // &label edits whose target isn't in the file set (board-level nodes such as &spi0) are kept here
+        this.unresolved = new DeviceTreeNode('__unresolved__', null);
+        this.labels = new Map();
+    }
+
+    apply(text, sourceName) {
+        new DTSParser(text, sourceName, this).parse();
+    }
+
+    addLabel(node, label) {
+        if (!node.labels.includes(label)) node.labels.push(label);
+        this.labels.set(label, node);
+    }
+
+    getChild(parent, name, sourceName) {
+        let child = parent.children.get(name);
+        if (!child) {
+            child = new DeviceTreeNode(name, parent);
+            parent.children.set(name, child);
+        }
+        if (sourceName && !child.sources.includes(sourceName)) child.sources.push(sourceName);
+        return child;
+    }
+
+    getByPath(path) {
+        const parts = path.split('/').filter(p => p.length > 0);
+        let node = this.root;
+        if (parts[0] === this.unresolved.name) node = this.unresolved, parts.shift();
+        for (const part of parts) {
+            node = node.children.get(part);
+            if (!node) return null;
+        }
+        return node;
+    }
+
+    // Node for a { label } / { path } reference, or null
+    resolve(ref) {
+        if (!ref) return null;
+        if (ref.label) return this.labels.get(ref.label) || null;
+        if (ref.path) return this.getByPath(ref.path);
+        return null;
+    }
+
+    // Node the first phandle in `prop` of `node` points to
+    resolveProp(node, prop) {
+        const value = node.props.get(prop);
+        return value ? this.resolve(dtsFirstRef(value)) : null;
+    }
+
+    getChosen(prop) {
+        const chosen = this.getByPath('/chosen');
+        return chosen ? this.resolveProp(chosen, prop) : null;
+    }
+
+    findNodes(predicate) {
+        const found = [];
+        const walk = (node) => {
+            if (predicate(node)) found.push(node);
+            node.children.forEach(walk);
+        };
+        walk(this.root);
+        walk(this.unresolved);
+        return found;
+    }
+
+    findCompatible(compat) {
+        return this.findNodes(n => n.isCompatible(compat));
+    }
+
+    deleteNode(node) {
+        if (!node || !node.parent) return;
+        node.parent.children.delete(node.name);
+        const walk = (n) => {
+            n.labels.forEach(l => { if (this.labels.get(l) === n) this.labels.delete(l); });
+            n.children.forEach(walk);
+        };
+        walk(node);
+    }
+}
+
+class DTSParser {
+    constructor(text, sourceName, tree) {
+        this.text = text;
+        this.pos = 0;
+        this.sourceName = sourceName;
+        this.tree = tree;
+    }
+
+    parse() {
+        while (this.skipWs(), this.pos < this.text.length) {
+            const start = this.pos;
+            try {
+                this.parseTopLevel();
+            } catch (e) {
+                // Skip the broken statement and keep going; one odd construct shouldn't lose the whole file
+                console.warn(`DTS parse error in ${this.sourceName} line ${this.lineAt(start)}: ${e.message}`);
+                this.pos = Math.max(this.pos, start + 1);
+                this.skipPast(';');
+            }
+        }
+    }
+
+    parseTopLevel() {
+        if (this.eat('/dts-v1/') || this.eat('/plugin/')) {
+            this.expect(';');
+            return;
+        }
+        if (this.eat('/memreserve/') || this.eat('/include/')) {
+            this.skipPast(';');
+            return;
+        }
+        if (this.eat('/delete-node/')) {
+            this.skipWs();
+            this.tree.deleteNode(this.tree.resolve(this.readRef()));
+            this.expect(';');
+            return;
+        }
+        if (this.peek() === '/') {
+            this.pos++;
+            this.expect('{');
+            this.parseBody(this.tree.root);
+            return;
+        }
+        if (this.peek() === '&') {
+            const ref = this.readRef();
+            let node = this.tree.resolve(ref);
+            if (!node) {
+                const name = ref.label || ref.path;
+                node = this.tree.getChild(this.tree.unresolved, name, this.sourceName);
+                if (ref.label) this.tree.addLabel(node, ref.label);
+            }
+            if (!node.sources.includes(this.sourceName)) node.sources.push(this.sourceName);
+            this.expect('{');
+            this.parseBody(node);
+            return;
+        }
+        // Labeled node outside "/ { }" (not valid dtc input, but harmless to accept)
+        this.parseStatement(this.tree.root);
+    }
+
+    parseBody(node) {
+        while (true) {
+            this.skipWs();
+            if (this.pos >= this.text.length) throw new Error(`Unterminated node ${node.path}`);
+            if (this.peek() === '}') {
+                this.pos++;
+                this.skipWs();
+                this.eat(';');
+                return;
+            }
+            this.parseStatement(node);
+        }
+    }
+
+    parseStatement(node) {
+        if (this.eat('/delete-node/')) {
+            this.skipWs();
+            if (this.peek() === '&') {
+                this.tree.deleteNode(this.tree.resolve(this.readRef()));
+            } else {
+                this.tree.deleteNode(node.children.get(this.readName()));
+            }
+            this.expect(';');
+            return;
+        }
+        if (this.eat('/delete-property/')) {
+            this.skipWs();
+            node.props.delete(this.readName());
+            this.expect(';');
+            return;
+        }
+
+        const labels = [];
+        let name = this.readName();
+        this.skipWs();
+        while (this.peek() === ':') {
+            this.pos++;
+            labels.push(name);
+            this.skipWs();
+            name = this.readName();
+            this.skipWs();
+        }
+
+        const ch = this.peek();
+        if (ch === '{') {
+            this.pos++;
+            const child = this.tree.getChild(node, name, this.sourceName);
+            labels.forEach(l => this.tree.addLabel(child, l));
+            this.parseBody(child);
+        } else if (ch === '=') {
+            this.pos++;
+            node.props.set(name, this.parseValue());
+        } else if (ch === ';') {
+            this.pos++;
+            node.props.set(name, []);
+        } else {
+            throw new Error(`Unexpected '${ch}' after ${name}`);
+        }
+    }
+
+    parseValue() {
+        const components = [];
+        while (true) {
+            this.skipWs();
+            const ch = this.peek();
+            if (ch === '"') {
+                components.push({ type: 'string', value: this.readString() });
+            } else if (ch === '<') {
+                this.pos++;
+                components.push({ type: 'cells', cells: this.parseCells() });
+            } else if (ch === '[') {
+                const end = this.text.indexOf(']', this.pos);
+                if (end === -1) throw new Error('Unterminated [');
+                const hex = this.text.substring(this.pos + 1, end).replace(/\s+/g, '');
+                components.push({ type: 'bytes', bytes: (hex.match(/../g) || []).map(b => parseInt(b, 16)) });
+                this.pos = end + 1;
+            } else if (ch === '&') {
+                components.push({ type: 'ref', ...this.readRef() });
+            } else {
+                throw new Error(`Unexpected '${ch}' in property value`);
+            }
+
+            this.skipWs();
+            if (this.eat(',')) continue;
+            this.expect(';');
+            return components;
+        }
+    }
+
+    parseCells() {
+        const cells = [];
+        while (true) {
+            this.skipWs();
+            const ch = this.peek();
+            if (ch === undefined) throw new Error('Unterminated <');
+            if (ch === '>') {
+                this.pos++;
+                return cells;
+            }
+            if (ch === '&') {
+                cells.push({ type: 'ref', ...this.readRef() });
+            } else if (ch === '(') {
+                const text = this.readBalanced();
+                const cell = { type: 'expr', text };
+                const value = dtsEvaluate(text);
+                cells.push(Number.isNaN(value) ? cell : { type: 'number', value });
+            } else if (ch === "'") {
+                const match = /^'(\\?.)'/.exec(this.text.substring(this.pos));
+                if (!match) throw new Error('Bad character literal');
+                cells.push({ type: 'number', value: match[1].charCodeAt(match[1].length - 1) });
+                this.pos += match[0].length;
+            } else {
+                const match = /^-?(0[xX][0-9a-fA-F]+|\d+)[uUlL]*|^[A-Za-z_]\w*/.exec(this.text.substring(this.pos));
+                if (!match) throw new Error(`Unexpected '${ch}' in cells`);
+                this.pos += match[0].length;
+                if (/^[A-Za-z_]/.test(match[0])) {
+                    // Unexpanded macro such as GPIO_ACTIVE_HIGH or RC(0, 1)
+                    const cell = { type: 'macro', name: match[0], args: null };
+                    const save = this.pos;
+                    this.skipWs();
+                    if (this.peek() === '(') {
+                        const inner = this.readBalanced();
+                        cell.args = splitTopLevel(inner.substring(1, inner.length - 1), ',').map(a => a.trim());
+                    } else {
+                        this.pos = save;
+                    }
+                    cells.push(cell);
+                } else {
+                    cells.push({ type: 'number', value: Number(match[0].replace(/[uUlL]+$/, '')) });
+                }
+            }
+        }
+    }
+
+    readRef() {
+        this.expect('&');
+        if (this.peek() === '{') {
+            const end = this.text.indexOf('}', this.pos);
+            const path = this.text.substring(this.pos + 1, end);
+            this.pos = end + 1;
+            return { path };
+        }
+        return { label: this.readName() };
+    }
+
+    readName() {
+        const match = /^[A-Za-z0-9,._+\-#?@*]+/.exec(this.text.substring(this.pos, this.pos + 256));
+        if (!match) throw new Error(`Expected a name, found '${this.peek()}'`);
+        this.pos += match[0].length;
+        return match[0];
+    }
+
+    readString() {
+        const end = Preprocessor.skipString(this.text, this.pos);
+        const raw = this.text.substring(this.pos + 1, end - 1);
+        this.pos = end;
+        return raw.replace(/\\(.)/g, '$1');
+    }
+
+    // "( ... )" with nested parentheses, returned including the outer pair
+    readBalanced() {
+        let depth = 0;
+        const start = this.pos;
+        for (; this.pos < this.text.length; this.pos++) {
+            const ch = this.text[this.pos];
+            if (ch === '(') depth++;
+            if (ch === ')' && --depth === 0) {
+                this.pos++;
+                return this.text.substring(start, this.pos);
+            }
+        }
+        throw new Error('Unbalanced (');
+    }
+
+    peek() {
+        return this.text[this.pos];
+    }
+
+    eat(token) {
+        this.skipWs();
+        if (this.text.startsWith(token, this.pos)) {
+            this.pos += token.length;
+            return true;
+        }
+        return false;
+    }
+
+    expect(token) {
+        if (!this.eat(token)) throw new Error(`Expected '${token}', found '${this.peek()}'`);
+    }
+
+    skipWs() {
+        while (this.pos < this.text.length && /\s/.test(this.text[this.pos])) this.pos++;
+    }
+
+    skipPast(ch) {
+        const idx = this.text.indexOf(ch, this.pos);
+        this.pos = idx === -1 ? this.text.length : idx + 1;
+    }
+
+    lineAt(pos) {
+        return this.text.substring(0, pos).split('\n').length;
+    }
+}
+
+// Splits on `separator` outside parentheses
+function splitTopLevel(text, separator) {
+    const parts = [];
+    let depth = 0;
+    let current = '';
+    for (const ch of text) {
+        if (ch === '(') depth++;
+        if (ch === ')') depth--;
+        if (ch === separator && depth === 0) {
+            parts.push(current);
+            current = '';
+        } else {
+            current += ch;
+        }
+    }
+    parts.push(current);
+    return parts;
+}
+
+// Numeric value of a cell expression, NaN when it still contains unexpanded identifiers
+function dtsEvaluate(text) {
+    if (/[A-Za-z_]/.test(text.replace(/0[xX][0-9a-fA-F]+/g, '').replace(/(\d)[uUlL]+/g, '$1'))) return NaN;
+    try {
+        return evaluateCExpression(text.replace(/(\d)[uUlL]+\b/g, '$1'));
+    } catch (e) {
+        return NaN;
+    }
+}
+
+// All cell items of a property value, in order
+function dtsCells(value) {
+    if (!value) return [];
+    return value.flatMap(v => (v.type === 'cells' ? v.cells : v.type === 'ref' ? [v] : []));
+}
+
+function dtsFirstRef(value) {
+    return dtsCells(value).find(c => c.type === 'ref') || null;
+}
+
+function dtsString(value) {
+    const str = value && value.find(v => v.type === 'string');
+    return str ? str.value : null;
+}
+
+// Number for a cell (NaN for unresolved macros)
+function dtsCellNumber(cell) {
+    if (!cell) return NaN;
+    if (cell.type === 'number') return cell.value;
+    if (cell.type === 'expr') return dtsEvaluate(cell.text);
+    return NaN;
+}
+
+function dtsPropNumber(node, prop, fallback = null) {
+    const value = dtsCellNumber(dtsCells(node.props.get(prop))[0]);
+    return Number.isNaN(value) ? fallback : value;
+}
+
+// "boards/shields/corne/corne_left.overlay" -> "corne_left.overlay" / "boards/shields/corne"
+function baseName(path) {
+    return path.substring(path.lastIndexOf('/') + 1);
+}
+
+function dirName(path) {
+    return path.includes('/') ? path.substring(0, path.lastIndexOf('/')) : '';
+}
+
+// --- ZMK Parser ---
+
+class ZMKParser {
+    constructor() {
+        this.result = {
+            physicalKeys: [], // {x, y, w, h, r, rx, ry}
+            matrixMap: [], // {r, c}
+            pinMap: {}, // Dynamically keyed by shield name
+            matrixTransform: { rows: 0, cols: 0, colOffset: 0, rowOffset: 0 },
+            diodeDirection: 'col2row',
+            layouts: [], // Every physical layout: { ref, name, keys, transform, matrixMap, offsets, pinMap, kscan, ... }
+            layoutIndex: 0, // Active entry of layouts
+            keymap: null, // Default layer: { layer, bindings: [{ r, c, behavior, params }] }
+            chosen: { layout: null, transform: null, kscan: {} } // Nodes the data came from: { ref, via }
+        };
+        this.rawFiles = {};
+        this.shields = []; // List of shield names
+        this.trees = {}; // Shield name (or 'common') -> merged DeviceTree
+    }
+
+    getResult() {
+        return this.result;
+    }
+
+    // `targets` restricts the parse to those build.yaml targets (one side each); by default every
+    // keyboard target in build.yaml is used
+    parse(filesData, { targets = null } = {}) {
+        // Copied: the caller's map may be a cached snapshot that must keep the original text
+        this.rawFiles = { ...filesData };
+        for (const [name, content] of Object.entries(this.rawFiles)) {
+            if (!Preprocessor.isDeviceTreeFile(name)) this.rawFiles[name] = this.stripComments(content);
+        }
+
+        // 1. Parse Build Config (for split side detection)
+        this.findAndParseBuildConfig(targets || findBuildTargets(filesData).filter(t => !t.reset));
+
+        // 2. Preprocess and merge the devicetree sources of each side
+        this.buildDeviceTrees(new Preprocessor(filesData));
+
+        // 3. Parse Physical Layout
+        this.findAndParsePhysicalLayout();
+
+        // 4. Parse Matrix Transform
+        this.findAndParseMatrixTransform();
+
+        // 5. Parse Pin Config
+        this.findAndParsePinConfig();
+
+        // 6. Parse Keymap (default layer)
+        this.findAndParseKeymap();
+    }
+
+    findAndParseBuildConfig(targets) {
+        this.shields = [];
+        this.sideBoards = {}; // Side -> board it is built for
+        targets.forEach(target => {
+            if (this.shields.includes(target.side)) return;
+            this.addShield(target.side);
+            this.sideBoards[target.side] = target.board;
+            console.log(`Identified Shield: ${target.side}${target.board ? ` (board ${target.board})` : ''}`);
+        });
+
+        // No build.yaml: every .overlay is taken as one side, named after the file
+        if (this.shields.length === 0) {
+            Object.keys(this.rawFiles)
+                .filter(name => name.endsWith('.overlay'))
+                .map(name => baseName(name).replace(/\.overlay$/, ''))
+                .forEach(shield => {
+                    if (!this.shields.includes(shield)) this.addShield(shield);
+                });
+        }
+    }
+
+    addShield(shield) {
+        this.shields.push(shield);
+        if (!this.result.pinMap[shield]) {
+            this.result.pinMap[shield] = { row: {}, col: {} };
+        }
+    }
+
+    stripComments(text) {
+        // Remove C-style // and /* */, and Hash-style # comments
+        return text.replace(/\/\/.*$/gm, '')
+                   .replace(/\/\*[\s\S]*?\*\//g, '')
+                   .replace(/#.*$/gm, '');
+    }
+
+    // One merged tree per side, in the order the build applies them: the board's .dts (when the board
+    // is in the repository), the shield's boards/<board>.overlay, the shield's .overlay files (config/
+    // last), then the .keymap; #includes are inlined. Sibling .dtsi files none of them include go first so
+    // a config that relies on them still resolves. Without any of these, every source goes into the tree.
+    buildDeviceTrees(preprocessor) {
+        const paths = Object.keys(this.rawFiles);
+        const sides = this.shields.length > 0 ? this.shields : ['common'];
+        this.trees = {};
+
+        sides.forEach(side => {
+            const tree = new DeviceTree();
+            const apply = (path) => tree.apply(preprocessor.process(path, { inlineIncludes: true }), path);
+            const board = this.sideBoards && this.sideBoards[side];
+
+            const boardDts = board ? paths.find(p => baseName(p) === `${board}.dts`) : null;
+            const inConfigRoot = (p) => dirName(p) === 'config';
+            const overlays = side === board ? [] : paths.filter(p => baseName(p) === `${side}.overlay`)
+                .sort((x, y) => inConfigRoot(x) - inConfigRoot(y));
+            const shieldDir = overlays.length > 0 ? dirName(overlays[0]) : null;
+            const boardOverlay = board && shieldDir ? paths.find(p => p === `${shieldDir}/boards/${board}.overlay`) : null;
+            const sources = [boardDts, boardOverlay, ...overlays].filter(Boolean);
+
+            if (sources.length > 0) {
+                const included = new Set();
+                const texts = sources.map(path => {
+                    const text = preprocessor.process(path, { inlineIncludes: true });
+                    preprocessor.visited.forEach(p => included.add(p));
+                    return text;
+                });
+                const mainDir = shieldDir || dirName(boardDts);
+                paths.filter(p => p.endsWith('.dtsi') && dirName(p) === mainDir && !included.has(p)).forEach(apply);
+                sources.forEach((path, i) => tree.apply(texts[i], path));
+            } else {
+                paths.filter(p => /\.(dtsi|overlay)$/.test(p)).forEach(apply);
+            }
+
+            const keymap = this.findKeymap(side, shieldDir || (boardDts ? dirName(boardDts) : null));
+            if (keymap) apply(keymap);
+
+            this.trees[side] = tree;
+        });
+    }
+
+    // ZMK takes <shield>.keymap from config/ first, then from the shield directory; split halves
+    // (corne_left) share the keymap named after the directory (corne.keymap)
+    findKeymap(side, sideDir) {
+        const keymaps = Object.keys(this.rawFiles).filter(p => p.endsWith('.keymap'));
+        const names = [side];
+        if (sideDir) names.push(baseName(sideDir));
+        names.push(splitBaseName(side));
+
+        for (const name of names) {
+            const matches = keymaps.filter(p => baseName(p) === `${name}.keymap`);
+            if (matches.length > 0) return matches.find(p => p.startsWith('config/')) || matches[0];
+        }
+        return keymaps.length === 1 ? keymaps[0] : null;
+    }
+
+    // Tree used for side-independent data (layout, transform map): the first shield's
+    get primaryTree() {
+        return this.trees[this.shields[0]] || this.trees.common;
+    }
+
+    // Each lookup returns { node, via } where via says how it was found:
+    // 'chosen', 'physical-layout' (the layout's own kscan / transform phandle) or 'fallback'
+    resolveLayout(tree) {
+        const chosen = tree.getChosen('zmk,physical-layout');
+        if (chosen) return { node: chosen, via: 'chosen' };
+        const layout = tree.findCompatible('zmk,physical-layout').find(n => n.props.has('keys'));
+        return layout ? { node: layout, via: 'fallback' } : null;
+    }
+
+    // Newer ZMK links the transform from the physical layout; older configs use zmk,matrix-transform
+    resolveTransform(tree, layout) {
+        const linked = layout && tree.resolveProp(layout, 'transform');
+        if (linked) return { node: linked, via: 'physical-layout' };
+        const chosen = tree.getChosen('zmk,matrix-transform');
+        if (chosen) return { node: chosen, via: 'chosen' };
+
+        // Nothing points at a transform: the one with the longest map
+        let best = null;
+        tree.findCompatible('zmk,matrix-transform').forEach(node => {
+            if (!best || this.parseTransformMap(node).length > this.parseTransformMap(best).length) best = node;
+        });
+        return best ? { node: best, via: 'fallback' } : null;
+    }
+
+    resolveKscan(tree, layout) {
+        const linked = layout && tree.resolveProp(layout, 'kscan');
+        if (linked) return { node: linked, via: 'physical-layout' };
+        const chosen = tree.getChosen('zmk,kscan');
+        if (chosen) return { node: chosen, via: 'chosen' };
+        const kscan = tree.findNodes(n => n.compatible.some(c => /^zmk,kscan-gpio-/.test(c)))[0];
+        return kscan ? { node: kscan, via: 'fallback' } : null;
+    }
+
+    // Every zmk,physical-layout node becomes an entry of result.layouts; the one chosen (or found
+    // first) is the default. Transforms and offsets are attached per layout in findAndParseMatrixTransform.
+    findAndParsePhysicalLayout() {
+        const tree = this.primaryTree;
+        const resolved = this.resolveLayout(tree);
+        if (!resolved) return;
+
+        const nodes = tree.findCompatible('zmk,physical-layout').filter(n => n.props.has('keys'));
+        if (!nodes.includes(resolved.node)) nodes.unshift(resolved.node);
+
+        this.result.layouts = nodes.map(node => ({
+            ref: node.ref,
+            path: node.path,
+            name: dtsString(node.props.get('display-name')) || node.ref,
+            via: node === resolved.node ? resolved.via : 'user',
+            keys: this.parseLayoutKeys(node),
+            transform: null,
+            matrixMap: [],
+            rows: 0,
+            cols: 0,
+            offsets: {} // shield -> { colOffset, rowOffset }
+        }));
+        this.result.layoutIndex = nodes.indexOf(resolved.node);
+        this.result.layouts.forEach(l => console.log(`Found physical layout ${l.ref} "${l.name}": ${l.keys.length} keys`));
+    }
+
+    // keys = <&key_physical_attrs w h x y r rx ry>, ...; sizes in 1/100 u, rotation in 1/100 degree
+    parseLayoutKeys(layout) {
+        const cells = dtsCells(layout.props.get('keys'));
+        const keys = [];
+        for (let i = 0; i < cells.length; i++) {
+            if (cells[i].type !== 'ref' || cells[i].label !== 'key_physical_attrs') continue;
+            const args = [];
+            for (let j = i + 1; j < cells.length && cells[j].type !== 'ref' && args.length < 7; j++) {
+                args.push(dtsCellNumber(cells[j]));
+            }
+            const [w, h, x, y, r = 0, rx = 0, ry = 0] = args.map(v => (Number.isNaN(v) ? 0 : v / 100));
+            keys.push({ w, h, x, y, r, rx, ry });
+        }
+        return keys;
+    }
+
+    findAndParseMatrixTransform() {
+        this.result.layouts.forEach(layout => {
+            const resolved = this.resolveTransform(this.primaryTree, this.primaryTree.getByPath(layout.path));
+            if (!resolved) return;
+
+            const transform = resolved.node;
+            layout.transform = { ref: transform.ref, via: resolved.via };
+            layout.matrixMap = this.parseTransformMap(transform);
+            layout.rows = dtsPropNumber(transform, 'rows', 0);
+            layout.cols = dtsPropNumber(transform, 'columns', 0);
+            console.log(`Found Matrix Map ${transform.ref} (${resolved.via}) for ${layout.ref}: ${layout.matrixMap.length} entries`);
+
+            // Offsets are per side: each half's overlay sets them on its own copy of the transform
+            this.shields.forEach(shield => {
+                const sideTree = this.trees[shield];
+                const sideResolved = this.resolveTransform(sideTree, sideTree.getByPath(layout.path));
+                if (!sideResolved) return;
+                const colOffset = dtsPropNumber(sideResolved.node, 'col-offset');
+                const rowOffset = dtsPropNumber(sideResolved.node, 'row-offset');
+                layout.offsets[shield] = { colOffset, rowOffset };
+                if (colOffset !== null) console.log(`Found Col Offset ${colOffset} for ${shield} in ${transform.ref}`);
+                if (rowOffset !== null) console.log(`Found Row Offset ${rowOffset} for ${shield} in ${transform.ref}`);
+            });
+        });
+
+        if (this.result.layouts.length > 0) ZMKParser.applyLayout(this.result, this.result.layoutIndex);
+    }
+
+    // Makes layouts[index] the active one: keys, transform map, kscan pins and per-side offsets of `result`
+    static applyLayout(result, index) {
+        const layout = result.layouts[index];
+        result.layoutIndex = index;
+        result.physicalKeys = layout.keys;
+        result.matrixMap = layout.matrixMap;
+        result.matrixTransform.rows = layout.rows;
+        result.matrixTransform.cols = layout.cols;
+        // Set once the pins are parsed (findAndParsePinConfig)
+        if (layout.pinMap) {
+            result.pinMap = layout.pinMap;
+            result.chosen.kscan = layout.kscan;
+            result.diodeDirection = layout.diodeDirection;
+        }
+        Object.entries(result.pinMap).forEach(([shield, pins]) => {
+            const offsets = layout.offsets[shield] || {};
+            if (offsets.colOffset != null) pins.colOffset = offsets.colOffset; else delete pins.colOffset;
+            if (offsets.rowOffset != null) pins.rowOffset = offsets.rowOffset; else delete pins.rowOffset;
+        });
+        result.chosen.layout = { ref: layout.ref, via: layout.via };
+        result.chosen.transform = layout.transform;
+    }
+
+    // map = <RC(r,c) ...>; also accepts RC() already expanded to ((r << 8) + c)
+    parseTransformMap(node) {
+        const map = [];
+        dtsCells(node.props.get('map')).forEach(cell => {
+            if (cell.type === 'macro' && cell.name === 'RC' && cell.args && cell.args.length === 2) {
+                const [r, c] = cell.args.map(a => dtsEvaluate(a));
+                if (!Number.isNaN(r) && !Number.isNaN(c)) map.push({ r, c });
+                return;
+            }
+            const value = dtsCellNumber(cell);
+            if (!Number.isNaN(value)) map.push({ r: value >> 8, c: value & 0xff });
+        });
+        return map;
+    }
+
+    // The first layer of the keymap is the default one. Its bindings follow the default layout's transform
+    // map, so each is tied to a matrix position, which every layout shares.
+    findAndParseKeymap() {
+        const tree = this.primaryTree;
+        const keymap = tree && tree.findCompatible('zmk,keymap')[0];
+        const layer = keymap && Array.from(keymap.children.values()).find(n => n.props.has('bindings'));
+        const layout = this.result.layouts[this.result.layoutIndex];
+        if (!layer || !layout || !layout.matrixMap) return;
+
+        // <&kp A &mt LSHIFT Z ...>: each behavior reference starts a binding, the cells after it are its parameters
+        const bindings = [];
+        dtsCells(layer.props.get('bindings')).forEach(cell => {
+            if (cell.type === 'ref') {
+                bindings.push({ behavior: cell.label || cell.path, params: [] });
+            } else if (bindings.length > 0) {
+                bindings[bindings.length - 1].params.push(cell);
+            }
+        });
+        this.result.keymap = {
+            layer: layer.name,
+            bindings: bindings.slice(0, layout.matrixMap.length).map((b, i) => ({ ...layout.matrixMap[i], ...b }))
+        };
+    }
+
+    // A physical layout may name a kscan of its own, so the pins are resolved for every layout and stored
+    // on it as { pinMap, kscan, diodeDirection }; applyLayout swaps them in with the transform.
+    findAndParsePinConfig() {
+        if (this.result.layouts.length === 0) {
+            const config = this.parsePinConfig(null);
+            this.result.pinMap = config.pinMap;
+            this.result.chosen.kscan = config.kscan;
+            this.result.diodeDirection = config.diodeDirection;
+            return;
+        }
+        this.result.layouts.forEach(layout => Object.assign(layout, this.parsePinConfig(layout)));
+        ZMKParser.applyLayout(this.result, this.result.layoutIndex);
+    }
+
+    parsePinConfig(layout) {
+        const config = { pinMap: {}, kscan: {}, diodeDirection: this.result.diodeDirection };
+        this.shields.forEach(side => {
+            config.pinMap[side] = { row: {}, col: {} };
+            const tree = this.trees[side];
+            const resolved = this.resolveKscan(tree, layout ? tree.getByPath(layout.path) : null);
+            if (!resolved) return;
+            const kscan = resolved.node;
+            const pins = config.pinMap[side];
+            const info = {
+                ref: kscan.ref,
+                via: resolved.via,
+                compatible: kscan.compatible.find(c => c.startsWith('zmk,kscan')) || kscan.compatible[0] || null
+            };
+            config.kscan[side] = info;
+
+            if (!kscan.isCompatible('zmk,kscan-composite')) {
+                const { diodeDirection } = this.parseKscanPins(tree, kscan, pins, side);
+                config.diodeDirection = diodeDirection;
+                return;
+            }
+
+            // Composite: every child points at a kscan of its own, placed at row-offset / column-offset
+            // of the composite matrix. Each becomes a unit with its own wiring mode.
+            pins.units = [];
+            info.children = [];
+            kscan.children.forEach(child => {
+                const node = tree.resolveProp(child, 'kscan');
+                if (!node) return;
+                const unitPins = { row: {}, col: {} };
+                const { mode, diodeDirection } = this.parseKscanPins(tree, node, unitPins, `${side} ${child.name}`);
+                const size = ZMKParser.kscanSize(mode, unitPins);
+                const unit = {
+                    ref: node.ref,
+                    name: child.name,
+                    mode,
+                    diodeDirection,
+                    rowOffset: dtsPropNumber(child, 'row-offset', 0),
+                    colOffset: dtsPropNumber(child, 'column-offset', dtsPropNumber(child, 'col-offset', 0)),
+                    rows: size.rows,
+                    cols: size.cols,
+                    pins: unitPins
+                };
+                pins.units.push(unit);
+                info.children.push({ ref: unit.ref, mode, rowOffset: unit.rowOffset, colOffset: unit.colOffset });
+            });
+            // The matrix child decides the diode direction shown for the board
+            const main = pins.units.find(u => u.mode === 'matrix') || pins.units[0];
+            if (main) config.diodeDirection = main.diodeDirection;
+        });
+        return config;
+    }
+
+    // Fills `pins` from one kscan node: row/col for a matrix, gpios/interrupt for charlieplex, direct
+    // for direct GPIO, row (inputs) and demux (address lines) for a demux. Lines driven through a
+    // 74HC595 are described in pins.shifters. Returns the wiring mode and the diode direction it implies.
+    parseKscanPins(tree, kscan, pins, label) {
+        if (kscan.isCompatible('zmk,kscan-gpio-charlieplex')) {
+            const gpios = this.extractGpioList(kscan, 'gpios');
+            const intGpios = this.extractGpioList(kscan, 'interrupt-gpios');
+            if (Object.keys(gpios).length > 0) pins.gpios = gpios;
+            if (Object.keys(intGpios).length > 0) pins.interrupt = intGpios[0];
+            console.log(`Parsed Charlieplex Pins for ${label} from ${kscan.ref}`);
+            return { mode: 'charlieplex', diodeDirection: 'col2row' }; // Charlieplex is always col2row
+        }
+        if (kscan.isCompatible('zmk,kscan-gpio-direct')) {
+            const directGpios = this.extractGpioList(kscan, 'input-gpios');
+            if (Object.keys(directGpios).length > 0) pins.direct = directGpios;
+            console.log(`Parsed Direct Pins for ${label} from ${kscan.ref}`);
+            return { mode: 'direct', diodeDirection: 'row2col' }; // Direct is often row2col (Row 0 is GND)
+        }
+
+        if (kscan.isCompatible('zmk,kscan-gpio-demux')) {
+            // Inputs are sensed like rows; the outputs select one of 2^n demux outputs (the columns)
+            Object.assign(pins.row, this.extractGpioList(kscan, 'input-gpios'));
+            pins.demux = this.extractGpioList(kscan, 'output-gpios');
+            return { mode: 'demux', diodeDirection: 'col2row' };
+        }
+
+        Object.assign(pins.row, this.extractGpioList(kscan, 'row-gpios'));
+        Object.assign(pins.col, this.extractGpioList(kscan, 'col-gpios'));
+        ['row-gpios', 'col-gpios'].forEach(prop => {
+            dtsCells(kscan.props.get(prop)).filter(c => c.type === 'ref').forEach(ref => {
+                const controller = tree.resolve(ref);
+                const name = ref.label || ref.path;
+                if (!controller || !controller.isCompatible('zmk,gpio-595') || (pins.shifters && pins.shifters[name])) return;
+                pins.shifters = pins.shifters || {};
+                pins.shifters[name] = this.describeShiftRegister(tree, controller);
+            });
+        });
+        const diode = dtsString(kscan.props.get('diode-direction')) || 'col2row';
+        console.log(`Parsed Standard Pins for ${label} from ${kscan.ref} (diode-direction: ${diode})`);
+        return { mode: 'matrix', diodeDirection: diode };
+    }
+
+    // A zmk,gpio-595 node and the SPI lines that reach it: chip select from the bus's cs-gpios (by reg),
+    // SCK / MOSI from the bus's pinctrl (NRF_PSEL(SPIM_SCK, 0, 20), SPI0_SCK_P18, &spi1_sck_pa5, ...),
+    // the legacy sck-pin / mosi-pin properties, or clk-gpios / mosi-gpios of a bit-banged bus
+    describeShiftRegister(tree, node) {
+        const bus = node.parent;
+        const info = {
+            ref: node.ref,
+            ngpios: dtsPropNumber(node, 'ngpios', 8),
+            bus: bus && bus.parent ? bus.ref : null,
+            cs: null,
+            sck: null,
+            mosi: null
+        };
+        if (!info.bus) return info;
+
+        const reg = dtsPropNumber(node, 'reg', 0);
+        info.cs = this.extractGpioList(bus, 'cs-gpios')[reg] || null;
+        info.sck = this.extractGpioList(bus, 'clk-gpios')[0] || null;
+        info.mosi = this.extractGpioList(bus, 'mosi-gpios')[0] || null;
+        const legacySck = dtsPropNumber(bus, 'sck-pin');
+        const legacyMosi = dtsPropNumber(bus, 'mosi-pin');
+        if (legacySck !== null) info.sck = info.sck || `P${legacySck >> 5}.${legacySck & 31}`;
+        if (legacyMosi !== null) info.mosi = info.mosi || `P${legacyMosi >> 5}.${legacyMosi & 31}`;
+
+        const pinctrl = tree.resolveProp(bus, 'pinctrl-0');
+        const visit = (n) => {
+            n.props.forEach(value => dtsCells(value).forEach(cell => {
+                let role;
+                let text;
+                if (cell.type === 'macro' && cell.args && cell.args.length >= 3) {
+                    role = cell.args[0];
+                    text = `P${cell.args[1]}.${cell.args[2]}`;
+                } else if (cell.type === 'macro') {
+                    role = cell.name;
+                    const gp = /_P(\d+)$/.exec(cell.name);
+                    text = gp ? `GP${gp[1]}` : cell.name;
+                } else if (cell.type === 'ref') {
+                    role = cell.label || '';
+                    text = role;
+                } else {
+                    return;
+                }
+                if (/SCK|CLK/i.test(role)) info.sck = info.sck || text;
+                else if (/MOSI|_TX|SDO/i.test(role)) info.mosi = info.mosi || text;
+            }));
+            n.children.forEach(visit);
+        };
+        if (pinctrl) visit(pinctrl);
+        return info;
+    }
+
+    // Rows x columns a kscan reports: a direct kscan is one row of inputs, charlieplex is n x n,
+    // a demux has 2^(address lines) columns
+    static kscanSize(mode, pins) {
+        const count = (map) => Object.keys(map || {}).length;
+        if (mode === 'direct') return { rows: 1, cols: count(pins.direct) };
+        if (mode === 'demux') return { rows: count(pins.row), cols: 2 ** count(pins.demux) };
+        if (mode === 'charlieplex') return { rows: count(pins.gpios), cols: count(pins.gpios) };
+        return { rows: count(pins.row), cols: count(pins.col) };
+    }
+
+    // <&controller pin flags>, ... -> { 0: "controller pin", ... } (raw names like "xiao_d 0")
+    extractGpioList(node, propName) {
+        const pins = {};
+        let idx = 0;
+        (node.props.get(propName) || []).forEach(component => {
+            if (component.type !== 'cells') return;
+            const cells = component.cells;
+            for (let i = 0; i < cells.length; i++) {
+                if (cells[i].type !== 'ref') continue;
+                const pin = cells[i + 1];
+                const pinText = !pin ? '' : pin.type === 'number' ? pin.value
+                    : pin.type === 'macro' ? pin.name : dtsCellNumber(pin);
+                pins[idx] = `${cells[i].label || cells[i].path} ${pinText}`.trim();
+                idx++;
+            }
+        });
+        return pins;
+    }
+}
+
+// --- Canvas & Rendering ---
+
+const canvas = document.getElementById('keyboardCanvas');
+const ctx = canvas.getContext('2d');
+
+function initCanvas() {
+    if (parsedData.physicalKeys.length === 0) return;
+
+    let maxX = 0;
+    let maxY = 0;
+    parsedData.physicalKeys.forEach(k => {
+        const x = k.x + (k.w || 1);
+        const y = k.y + (k.h || 1);
+        if (x > maxX) maxX = x;
+        if (y > maxY) maxY = y;
+    });
+
+    canvas.width = (maxX + 1) * U * SCALE;
+    canvas.height = (maxY + 1) * U * SCALE;
+
+    draw();
+}
+
+function draw() {
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    ctx.save();
+    ctx.scale(SCALE, SCALE);
+
+    parsedData.physicalKeys.forEach((key, index) => {
+        drawKey(key, index, state.selectedIndices.has(index));
+    });
+    drawExtraReports();
+
+    ctx.restore();
+}
+
+// Arrows from each recorded pressed key to the keys that fired along with it
+function drawExtraReports() {
+    ctx.save();
+    ctx.strokeStyle = EXTRA_KEY_TOOL.color;
+    ctx.fillStyle = EXTRA_KEY_TOOL.color;
+    ctx.lineWidth = 2;
+    state.extraReports.forEach((fired, src) => {
+        const from = keyCenter(parsedData.physicalKeys[src]);
+        fired.forEach(idx => {
+            const to = keyCenter(parsedData.physicalKeys[idx]);
+            ctx.beginPath();
+            ctx.moveTo(from.x, from.y);
+            ctx.lineTo(to.x, to.y);
+            ctx.stroke();
+            ctx.beginPath();
+            ctx.arc(to.x, to.y, 5, 0, Math.PI * 2);
+            ctx.fill();
+        });
+    });
+    ctx.restore();
+}
+
+// Center of a key in canvas units, after its rotation
+function keyCenter(key) {
+    let x = (key.x + (key.w || 1) / 2) * U;
+    let y = (key.y + (key.h || 1) / 2) * U;
+    if (key.r) {
+        const cx = key.rx * U;
+        const cy = key.ry * U;
+        const rad = key.r * Math.PI / 180;
+        const dx = x - cx;
+        const dy = y - cy;
+        x = cx + dx * Math.cos(rad) - dy * Math.sin(rad);
+        y = cy + dx * Math.sin(rad) + dy * Math.cos(rad);
+    }
+    return { x, y };
+}
+
+function drawKey(key, index, isSelected) {
+    const x = key.x * U;
+    const y = key.y * U;
+    const w = (key.w || 1) * U;
+    const h = (key.h || 1) * U;
+
+    ctx.save();
+
+    if (key.r) {
+        const cx = key.rx * U;
+        const cy = key.ry * U;
+        ctx.translate(cx, cy);
+        ctx.rotate(key.r * Math.PI / 180);
+        ctx.translate(-cx, -cy);
+    }
+
+    const issueColor = state.issueMapping.get(index);
+    
+    roundRect(ctx, x, y, w, h, 8);
+
+    if (issueColor) {
+        // Highlighted key: Light fill, solid border
+        ctx.save();
+        ctx.globalAlpha = 0.25;
+        ctx.fillStyle = issueColor;
+        ctx.fill();
+        ctx.restore();
+
+        ctx.strokeStyle = issueColor;
+        ctx.lineWidth = 3;
+        ctx.stroke();
+    } else if (isSelected && getKeySymptom(index) !== 'dead') {
+        // Key tagged with another symptom: tinted with the symptom color
+        const symptomColor = SYMPTOMS[getKeySymptom(index)].color;
+        ctx.save();
+        ctx.globalAlpha = 0.35;
+        ctx.fillStyle = symptomColor;
+        ctx.fill();
+        ctx.restore();
+
+        ctx.strokeStyle = symptomColor;
+        ctx.lineWidth = 2;
+        ctx.stroke();
+    } else if (!isSelected && state.registeredKeys.has(index)) {
+        // Seen working by the key-press test or in an imported log
+        ctx.save();
+        ctx.globalAlpha = 0.35;
+        ctx.fillStyle = REGISTERED_KEY_COLOR;
+        ctx.fill();
+        ctx.restore();
+
+        ctx.strokeStyle = REGISTERED_KEY_COLOR;
+        ctx.lineWidth = 2;
+        ctx.stroke();
+    } else {
+        // Normal key
+        ctx.fillStyle = isSelected ? themeColors.keySelected : themeColors.keyDefault;
+        ctx.strokeStyle = isSelected ? themeColors.keySelectedStroke : themeColors.keyStroke;
+        ctx.lineWidth = 2;
+        ctx.fill();
+        ctx.stroke();
+    }
+
+    // Pressed key whose extra keys are being recorded
+    if (index === state.extraSource) {
+        ctx.strokeStyle = EXTRA_KEY_TOOL.color;
+        ctx.lineWidth = 5;
+        ctx.stroke();
+    }
+
+    // Key whose parts are ringed on the PCB view, or open in the database editor
+    if (index === state.focusedKey && (parsedData.pcb || (dbEditor && index === dbEditor.keyIndex))) {
+        ctx.strokeStyle = FOCUS_COLOR;
+        ctx.lineWidth = 3;
+        ctx.stroke();
+    }
+
+    ctx.fillStyle = isSelected ? '#7f1d1d' : '#475569';
+    ctx.font = '10px Inter';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+
+    const m = parsedData.matrixMap[index];
+    // The database editor shows the switch entered for each key below its position
+    const silk = m && dbEditor ? getKeyInfo(m.r, m.c)?.silk_sw : null;
+    if (silk) {
+        ctx.fillText(`${m.r}, ${m.c}`, x + w / 2, y + h / 2 - 6);
+        ctx.fillText(silk, x + w / 2, y + h / 2 + 6);
+    } else if (m) {
+        ctx.fillText(`${m.r}, ${m.c}`, x + w / 2, y + h / 2);
+    }
+
+    ctx.restore();
+}
+
+function roundRect(ctx, x, y, w, h, r) {
+    if (w < 2 * r) r = w / 2;
+    if (h < 2 * r) r = h / 2;
+    ctx.beginPath();
+    ctx.moveTo(x + r, y);
+    ctx.arcTo(x + w, y, x + w, y + h, r);
+    ctx.arcTo(x + w, y + h, x, y + h, r);
+    ctx.arcTo(x, y + h, x, y, r);
+    ctx.arcTo(x, y, x + w, y, r);
+    ctx.closePath();
+}
+
+
+// --- Interaction ---
+
+function getKeyAt(screenX, screenY) {
+    for (let i = 0; i < parsedData.physicalKeys.length; i++) {
+        const k = parsedData.physicalKeys[i];
+
+        let tx = screenX;
+        let ty = screenY;
+
+        if (k.r) {
+            const cx = k.rx * U;
+            const cy = k.ry * U;
+            let dx = tx - cx;
+            let dy = ty - cy;
+            const rad = -k.r * Math.PI / 180;
+            const cos = Math.cos(rad);
+            const sin = Math.sin(rad);
+            tx = dx * cos - dy * sin + cx;
+            ty = dx * sin + dy * cos + cy;
+        }
+
+        const kx = k.x * U;
+        const ky = k.y * U;
+        const kw = (k.w || 1) * U;
+        const kh = (k.h || 1) * U;
+
+        if (tx >= kx && tx <= kx + kw && ty >= ky && ty <= ky + kh) {
+            return i;
+        }
+    }
+    return -1;
+}
+
+canvas.addEventListener('click', (e) => {
+    const rect = canvas.getBoundingClientRect();
+    const xx = e.clientX - rect.left;
+    const yy = e.clientY - rect.top;
+
+    const index = getKeyAt(xx / SCALE, yy / SCALE);
+    // The database editor opens the key instead of tagging it
+    if (index !== -1 && dbEditor) {
+        selectEditorKey(index);
+    } else if (index !== -1) {
+        // If selection changes, previous diagnosis is invalid
+        state.issueMapping.clear();
+        state.partMapping.clear();
+        document.getElementById('resultArea').classList.add('hidden');
+        state.focusedKey = index;
+        state.focusedRef = null;
+
+        if (state.liveTest) {
+            if (state.registeredKeys.has(index)) {
+                state.registeredKeys.delete(index);
+            } else {
+                state.registeredKeys.add(index);
+            }
+            renderLiveTestHint();
+        } else if (state.activeSymptom === EXTRA_KEY_MODE) {
+            recordExtraKey(index);
+        } else if (state.selectedIndices.has(index) && getKeySymptom(index) === state.activeSymptom) {
+            // Clicking a key again with the same symptom clears it; another symptom re-tags it
+            state.selectedIndices.delete(index);
+            state.symptoms.delete(index);
+        } else {
+            setKeySymptom(index, state.activeSymptom);
+        }
+        draw();
+        drawPcb();
+    }
+});
+
+function getKeySymptom(index) {
+    return state.symptoms.get(index) || 'dead';
+}
+
+function setKeySymptom(index, symptom) {
+    state.selectedIndices.add(index);
+    state.symptoms.set(index, symptom);
+}
+
+// Selected keys tagged with the symptom
+function keysWithSymptom(symptom) {
+    return Array.from(state.selectedIndices).filter(idx => getKeySymptom(idx) === symptom);
+}
+
+// In EXTRA_KEY_MODE the first click picks the pressed key, the following clicks toggle the keys that fired
+// with it, and clicking the pressed key again finishes the record
+function recordExtraKey(index) {
+    if (state.extraSource === null) {
+        state.extraSource = index;
+        return;
+    }
+    if (index === state.extraSource) {
+        state.extraSource = null;
+        return;
+    }
+    const fired = state.extraReports.get(state.extraSource) || new Set();
+    if (fired.has(index)) {
+        fired.delete(index);
+    } else {
+        fired.add(index);
+    }
+    if (fired.size > 0) {
+        state.extraReports.set(state.extraSource, fired);
+    } else {
+        state.extraReports.delete(state.extraSource);
+    }
+}
+
+// One toggle button per symptom; the active one decides what a click on a key tags it with
+function renderSymptomBar() {
+    const bar = document.getElementById('symptomBar');
+    bar.innerHTML = '';
+    [...Object.entries(SYMPTOMS), [EXTRA_KEY_MODE, EXTRA_KEY_TOOL]].forEach(([id, symptom]) => {
+        const btn = document.createElement('button');
+        btn.className = 'btn btn-symptom';
+        if (id === state.activeSymptom) btn.classList.add('active');
+        btn.style.setProperty('--symptom-color', symptom.color);
+        btn.textContent = symptom.label;
+        btn.addEventListener('click', () => {
+            state.activeSymptom = id;
+            state.extraSource = null;
+            renderSymptomBar();
+            draw();
+        });
+        bar.appendChild(btn);
+    });
+    document.getElementById('extraKeyHint').classList.toggle('hidden', state.activeSymptom !== EXTRA_KEY_MODE);
+}
+
+// Forgets every selected key, symptom, recorded extra key, registered key and diagnosis color, and ends
+// a running key-press test
+function clearKeyTags() {
+    stopLiveTest();
+    state.registeredKeys.clear();
+    state.selectedIndices.clear();
+    state.symptoms.clear();
+    state.extraReports.clear();
+    state.extraSource = null;
+    state.issueMapping.clear();
+    state.partMapping.clear();
+    state.focusedKey = null;
+    state.focusedRef = null;
+}
+
+function resetSelection() {
+    clearKeyTags();
+    closeWizard();
+    draw();
+    document.getElementById('resultArea').classList.add('hidden');
+}
+
+
+// --- PCB View ---
+// An imported .kicad_pcb is drawn below the keyboard. Parts named by the diagnosis (footprints by their
+// reference, MCU pins by the net their silk names) take the color of their result, and clicking a key on
+// either canvas rings the matching parts on the other.
+
+const PCB_MAX_WIDTH = 900; // px
+const PCB_MARGIN = 5; // mm around the board
+const FOCUS_COLOR = '#2563eb';
+
+const pcbCanvas = document.getElementById('pcbCanvas');
+const pcbCtx = pcbCanvas.getContext('2d');
+let pcbTransform = null; // { scale, minX, minY, maxX, flip } of the last drawing
+
+async function handlePcbImport(e) {
+    const file = e.target.files[0];
+    if (!file) return;
+    e.target.value = '';
+
+    try {
+        parsedData.pcb = parseKicadPcb(await file.text());
+        setStatus(`${file.name} を読み込みました (部品 ${parsedData.pcb.footprints.length} 個)`, "success");
+        document.getElementById('pcbArea').classList.remove('hidden');
+        drawPcb();
+    } catch (err) {
+        console.error("PCB import failed:", err);
+        setStatus(`基板ファイルの読み込みに失敗しました: ${err.message}`, "error");
+    }
+}
+
+// Footprint references and "net:<name>" entries a result points at
+function partsOfFailure(f) {
+    const parts = [];
+    const keyParts = (info) => {
+        if (info) parts.push(info.silk_sw, info.silk_d, info.silk_socket);
+    };
+    const indexKey = (idx) => {
+        const m = parsedData.matrixMap[idx];
+        return m ? getKeyInfo(m.r, m.c) : null;
+    };
+    const pinParts = (pin) => {
+        const info = getPinInfo(f.side, pin);
+        if (info.silk && info.silk !== pin) parts.push(`net:${info.silk}`);
+        if (f.type === 'charlie' && f.roleFail === 'in') parts.push(info.line_diode, info.interrupt_diode);
+    };
+
+    if (f.type === 'single' || f.type === 'diode_short' || f.scope === 'key') {
+        keyParts(getKeyInfo(f.r, f.c));
+    } else if (f.type === 'direct') {
+        keyParts(indexKey(f.indices[0]));
+    } else if (f.type === 'direct_gnd') {
+        const shield = getShieldInfo(f.side);
+        parts.push('net:GND', shield.mcu_socket, shield.jack, shield.battery, shield.power_switch);
+    } else if (f.type === 'interrupt') {
+        parts.push(getShieldInfo(f.side).mcu_socket);
+    } else if (f.type === 'unit_down') {
+        const shield = getShieldInfo(f.side);
+        parts.push(shield.mcu_socket, shield.jack, shield.battery, shield.power_switch);
+    } else if (f.type === 'diode_direction_mismatch') {
+        f.indices.forEach(idx => parts.push(indexKey(idx)?.silk_d));
+    }
+    // Pin lists of some results are keyed by line number
+    [f.pin, ...Object.values(f.pins || {})].filter(Boolean).forEach(pinParts);
+    return parts.filter(Boolean);
+}
+
+// Parts of the key in focus, plus a footprint clicked on the board that belongs to no key
+function focusedParts() {
+    const parts = new Set();
+    if (state.focusedKey !== null) {
+        const m = parsedData.matrixMap[state.focusedKey];
+        const info = m && getKeyInfo(m.r, m.c);
+        if (info) [info.silk_sw, info.silk_d, info.silk_socket].filter(Boolean).forEach(ref => parts.add(ref));
+    }
+    if (state.focusedRef) parts.add(state.focusedRef);
+    return parts;
+}
+
+function drawPcb() {
+    const pcb = parsedData.pcb;
+    if (!pcb) return;
+
+    // Extent of the outline, or of the footprints on a board without one
+    const points = pcb.outline.length > 0
+        ? pcb.outline.flatMap(s => s.type === 'circle'
+            ? [[s.center[0] - s.radius, s.center[1] - s.radius], [s.center[0] + s.radius, s.center[1] + s.radius]]
+            : s.points)
+        : pcb.footprints.map(fp => [fp.x, fp.y]);
+    if (points.length === 0) return;
+    const minX = Math.min(...points.map(p => p[0])) - PCB_MARGIN;
+    const minY = Math.min(...points.map(p => p[1])) - PCB_MARGIN;
+    const maxX = Math.max(...points.map(p => p[0])) + PCB_MARGIN;
+    const maxY = Math.max(...points.map(p => p[1])) + PCB_MARGIN;
+    const flip = document.getElementById('pcbFlip').checked;
+    const scale = Math.min(PCB_MAX_WIDTH, Math.max(canvas.width, 400)) / (maxX - minX);
+    pcbTransform = { scale, minX, minY, maxX, flip };
+    pcbCanvas.width = (maxX - minX) * scale;
+    pcbCanvas.height = (maxY - minY) * scale;
+
+    pcbCtx.clearRect(0, 0, pcbCanvas.width, pcbCanvas.height);
+    pcbCtx.save();
+    // Seen from the back the board is mirrored left to right
+    if (flip) {
+        pcbCtx.translate(pcbCanvas.width, 0);
+        pcbCtx.scale(-1, 1);
+    }
+    pcbCtx.scale(scale, scale);
+    pcbCtx.translate(-minX, -minY);
+
+    pcbCtx.strokeStyle = themeColors.keyStroke || '#94a3b8';
+    pcbCtx.lineWidth = 2 / scale;
+    pcb.outline.forEach(s => {
+        pcbCtx.beginPath();
+        if (s.type === 'circle') {
+            pcbCtx.arc(s.center[0], s.center[1], s.radius, 0, 2 * Math.PI);
+        } else if (s.type === 'arc') {
+            drawArcThrough(pcbCtx, ...s.points);
+        } else {
+            s.points.forEach(([x, y], i) => (i === 0 ? pcbCtx.moveTo(x, y) : pcbCtx.lineTo(x, y)));
+        }
+        pcbCtx.stroke();
+    });
+
+    const focus = focusedParts();
+    pcb.footprints.forEach(fp => {
+        const near = fp.back === flip; // On the side being looked at
+        const color = state.partMapping.get(fp.ref);
+        pcbCtx.save();
+        pcbCtx.translate(fp.x, fp.y);
+        pcbCtx.rotate(-fp.angle * Math.PI / 180);
+        const [x1, y1, x2, y2] = fp.box;
+
+        pcbCtx.globalAlpha = near ? 1 : 0.35;
+        pcbCtx.fillStyle = themeColors.keyDefault || '#f8fafc';
+        pcbCtx.fillRect(x1, y1, x2 - x1, y2 - y1);
+        fp.pads.forEach(pad => {
+            const padColor = state.partMapping.get(`net:${pad.net}`);
+            pcbCtx.fillStyle = padColor || '#cbd5e1';
+            pcbCtx.fillRect(pad.x - pad.w / 2, pad.y - pad.h / 2, pad.w, pad.h);
+        });
+        pcbCtx.globalAlpha = 1;
+        if (color) {
+            pcbCtx.fillStyle = color;
+            pcbCtx.globalAlpha = 0.35;
+            pcbCtx.fillRect(x1, y1, x2 - x1, y2 - y1);
+            pcbCtx.globalAlpha = 1;
+        }
+        pcbCtx.strokeStyle = focus.has(fp.ref) ? FOCUS_COLOR : (color || '#94a3b8');
+        pcbCtx.lineWidth = (focus.has(fp.ref) || color ? 3 : 1) / scale;
+        if (!near) pcbCtx.setLineDash([4 / scale, 3 / scale]);
+        pcbCtx.strokeRect(x1, y1, x2 - x1, y2 - y1);
+        pcbCtx.restore();
+
+        // References of highlighted parts, kept upright and readable on a flipped view
+        if (color || focus.has(fp.ref)) {
+            pcbCtx.save();
+            pcbCtx.translate(fp.x, fp.y);
+            if (flip) pcbCtx.scale(-1, 1);
+            pcbCtx.fillStyle = focus.has(fp.ref) ? FOCUS_COLOR : color;
+            pcbCtx.font = `${12 / scale}px Inter`;
+            pcbCtx.textAlign = 'center';
+            pcbCtx.textBaseline = 'bottom';
+            pcbCtx.fillText(fp.ref, 0, fp.box[1] - 0.5);
+            pcbCtx.restore();
+        }
+    });
+    pcbCtx.restore();
+}
+
+// Circular arc from a through b to c
+function drawArcThrough(c2d, a, b, c) {
+    const d = 2 * (a[0] * (b[1] - c[1]) + b[0] * (c[1] - a[1]) + c[0] * (a[1] - b[1]));
+    if (Math.abs(d) < 1e-9) {
+        c2d.moveTo(a[0], a[1]);
+        c2d.lineTo(c[0], c[1]);
+        return;
+    }
+    const sq = (p) => p[0] * p[0] + p[1] * p[1];
+    const cx = (sq(a) * (b[1] - c[1]) + sq(b) * (c[1] - a[1]) + sq(c) * (a[1] - b[1])) / d;
+    const cy = (sq(a) * (c[0] - b[0]) + sq(b) * (a[0] - c[0]) + sq(c) * (b[0] - a[0])) / d;
+    const angle = (p) => Math.atan2(p[1] - cy, p[0] - cx);
+    // Counter-clockwise when b is on the left of a -> c
+    const ccw = (b[0] - a[0]) * (c[1] - a[1]) - (b[1] - a[1]) * (c[0] - a[0]) < 0;
+    c2d.arc(cx, cy, Math.hypot(a[0] - cx, a[1] - cy), angle(a), angle(c), ccw);
+}
+
+// Smallest footprint under a point of the board canvas
+function getFootprintAt(screenX, screenY) {
+    if (!pcbTransform) return null;
+    const { scale, minX, minY, maxX, flip } = pcbTransform;
+    const x = flip ? maxX - screenX / scale : screenX / scale + minX;
+    const y = screenY / scale + minY;
+    let best = null;
+    parsedData.pcb.footprints.forEach(fp => {
+        const a = fp.angle * Math.PI / 180;
+        const dx = x - fp.x;
+        const dy = y - fp.y;
+        const lx = dx * Math.cos(a) - dy * Math.sin(a);
+        const ly = dx * Math.sin(a) + dy * Math.cos(a);
+        const [x1, y1, x2, y2] = fp.box;
+        if (lx < x1 || lx > x2 || ly < y1 || ly > y2) return;
+        const area = (x2 - x1) * (y2 - y1);
+        if (!best || area < best.area) best = { fp, area };
+    });
+    return best ? best.fp : null;
+}
+
+pcbCanvas.addEventListener('click', (e) => {
+    const rect = pcbCanvas.getBoundingClientRect();
+    const fp = getFootprintAt((e.clientX - rect.left) * pcbCanvas.width / rect.width, (e.clientY - rect.top) * pcbCanvas.height / rect.height);
+    state.focusedRef = fp ? fp.ref : null;
+    state.focusedKey = null;
+    if (fp && parsedData.database && parsedData.database.keys) {
+        const key = parsedData.database.keys.find(k => k.silk_sw === fp.ref || k.silk_d === fp.ref || k.silk_socket === fp.ref);
+        const index = key ? parsedData.matrixMap.findIndex(m => m && m.r === key.matrix[0] && m.c === key.matrix[1]) : -1;
+        if (index !== -1) state.focusedKey = index;
+    }
+    draw();
+    drawPcb();
+});
+
+// --- Key-Press Test ---
+// While the test runs, keys typed on the keyboard under test light up on the canvas. Each one is found
+// through the default layer of the keymap: &kp A sends KeyboardEvent.code "KeyA". Keys that send no
+// keycode on that layer (layer switches, Bluetooth, ...) cannot be told apart from dead ones and are
+// left out; clicking a key marks it pressed by hand.
+
+const REGISTERED_KEY_COLOR = '#16a34a';
+// Parameter holding the keycode a tap sends, per behavior
+const LIVE_TEST_TAP_PARAM = { kp: 0, kt: 0, sk: 0, mt: 1, lt: 1 };
+// ZMK keycode names (dt-bindings/zmk/keys.h, shifted aliases included) -> KeyboardEvent.code
+const ZMK_KEY_CODES = {};
+[
+    ['Enter', 'ENTER', 'RET', 'RETURN'], ['Escape', 'ESC', 'ESCAPE'], ['Backspace', 'BSPC', 'BACKSPACE'],
+    ['Tab', 'TAB'], ['Space', 'SPACE', 'SPC'], ['CapsLock', 'CAPS', 'CAPSLOCK', 'CLCK', 'CAPS_LOCK'],
+    ['Minus', 'MINUS', 'UNDER', 'UNDERSCORE'], ['Equal', 'EQUAL', 'PLUS'],
+    ['BracketLeft', 'LBKT', 'LEFT_BRACKET', 'LBRC', 'LEFT_BRACE'], ['BracketRight', 'RBKT', 'RIGHT_BRACKET', 'RBRC', 'RIGHT_BRACE'],
+    ['Backslash', 'BSLH', 'BACKSLASH', 'PIPE', 'NON_US_HASH', 'NUHS'], ['IntlBackslash', 'NON_US_BSLH', 'NUBS'],
+    ['Semicolon', 'SEMI', 'SEMICOLON', 'COLON'], ['Quote', 'SQT', 'APOS', 'APOSTROPHE', 'SINGLE_QUOTE', 'DQT', 'DOUBLE_QUOTES'],
+    ['Backquote', 'GRAVE', 'TILDE'], ['Comma', 'COMMA', 'LT', 'LESS_THAN'], ['Period', 'DOT', 'PERIOD', 'GT', 'GREATER_THAN'],
+    ['Slash', 'FSLH', 'SLASH', 'QMARK', 'QUESTION'],
+    ['Digit1', 'EXCL', 'EXCLAMATION'], ['Digit2', 'AT', 'AT_SIGN'], ['Digit3', 'HASH', 'POUND'], ['Digit4', 'DLLR', 'DOLLAR'],
+    ['Digit5', 'PRCNT', 'PERCENT'], ['Digit6', 'CARET'], ['Digit7', 'AMPS', 'AMPERSAND'], ['Digit8', 'STAR', 'ASTRK', 'ASTERISK'],
+    ['Digit9', 'LPAR', 'LEFT_PARENTHESIS'], ['Digit0', 'RPAR', 'RIGHT_PARENTHESIS'],
+    ['ShiftLeft', 'LSHFT', 'LSHIFT', 'LEFT_SHIFT'], ['ShiftRight', 'RSHFT', 'RSHIFT', 'RIGHT_SHIFT'],
+    ['ControlLeft', 'LCTRL', 'LCTL', 'LEFT_CONTROL'], ['ControlRight', 'RCTRL', 'RCTL', 'RIGHT_CONTROL'],
+    ['AltLeft', 'LALT', 'LEFT_ALT'], ['AltRight', 'RALT', 'RIGHT_ALT'],
+    ['MetaLeft', 'LGUI', 'LCMD', 'LWIN', 'LMETA', 'LEFT_GUI', 'LEFT_COMMAND', 'LEFT_WIN', 'LEFT_META'],
+    ['MetaRight', 'RGUI', 'RCMD', 'RWIN', 'RMETA', 'RIGHT_GUI', 'RIGHT_COMMAND', 'RIGHT_WIN', 'RIGHT_META'],
+    ['ArrowLeft', 'LEFT', 'LEFT_ARROW'], ['ArrowRight', 'RIGHT', 'RIGHT_ARROW'], ['ArrowUp', 'UP', 'UP_ARROW'], ['ArrowDown', 'DOWN', 'DOWN_ARROW'],
+    ['Home', 'HOME'], ['End', 'END'], ['PageUp', 'PG_UP', 'PAGE_UP'], ['PageDown', 'PG_DN', 'PAGE_DOWN'],
+    ['Insert', 'INS', 'INSERT'], ['Delete', 'DEL', 'DELETE'], ['PrintScreen', 'PSCRN', 'PRINTSCREEN'],
+    ['ScrollLock', 'SLCK', 'SCROLLLOCK'], ['Pause', 'PAUSE_BREAK'], ['ContextMenu', 'K_APP', 'K_APPLICATION', 'K_CMENU', 'K_CONTEXT_MENU'],
+    ['NumLock', 'KP_NUM', 'KP_NUMLOCK', 'KP_NUMLOCK_AND_CLEAR'], ['NumpadAdd', 'KP_PLUS'], ['NumpadSubtract', 'KP_MINUS', 'KP_SUBTRACT'],
+    ['NumpadMultiply', 'KP_MULTIPLY', 'KP_ASTERISK'], ['NumpadDivide', 'KP_DIVIDE', 'KP_SLASH'], ['NumpadEnter', 'KP_ENTER'],
+    ['NumpadDecimal', 'KP_DOT'], ['NumpadEqual', 'KP_EQUAL'],
+    ['IntlRo', 'INT_RO', 'INT1'], ['IntlYen', 'INT_YEN', 'INT3'], ['KanaMode', 'INT_KATAKANAHIRAGANA', 'INT2'],
+    ['Convert', 'INT_HENKAN', 'INT4'], ['NonConvert', 'INT_MUHENKAN', 'INT5'], ['Lang1', 'LANG1', 'LANG_HANGEUL'], ['Lang2', 'LANG2', 'LANG_HANJA']
+].forEach(([code, ...names]) => names.forEach(name => ZMK_KEY_CODES[name] = code));
+for (let i = 0; i < 26; i++) ZMK_KEY_CODES[String.fromCharCode(65 + i)] = `Key${String.fromCharCode(65 + i)}`;
+for (let i = 0; i < 10; i++) {
+    ZMK_KEY_CODES[`N${i}`] = ZMK_KEY_CODES[`NUMBER_${i}`] = `Digit${i}`;
+    ZMK_KEY_CODES[`KP_N${i}`] = ZMK_KEY_CODES[`KP_NUMBER_${i}`] = `Numpad${i}`;
+}
+for (let i = 1; i <= 24; i++) ZMK_KEY_CODES[`F${i}`] = `F${i}`;
+
+// KeyboardEvent.code a binding sends when tapped, or null. Modifier functions such as LS(N1) send the
+// key they wrap.
+function bindingKeyCode(binding) {
+    const param = binding.params[LIVE_TEST_TAP_PARAM[binding.behavior]];
+    let name = param && param.type === 'macro' ? param.name : null;
+    let args = param && param.args;
+    while (args && args.length === 1) {
+        const inner = /^(\w+)\s*(?:\((.*)\))?$/.exec(args[0].trim());
+        if (!inner) return null;
+        name = inner[1];
+        args = inner[2] !== undefined ? [inner[2]] : null;
+    }
+    return (name && ZMK_KEY_CODES[name]) || null;
+}
+
+function startLiveTest() {
+    if (!parsedData.keymap) {
+        setStatus("keymap が見つからないため、キー入力テストを使用できません。", "error");
+        return;
+    }
+    closeDbEditor();
+    clearKeyTags();
+    const keys = new Map(); // code -> key indices sending it
+    parsedData.keymap.bindings.forEach(b => {
+        const code = bindingKeyCode(b);
+        const index = parsedData.matrixMap.findIndex(m => m && m.r === b.r && m.c === b.c);
+        if (!code || index === -1) return;
+        if (!keys.has(code)) keys.set(code, []);
+        keys.get(code).push(index);
+    });
+    state.liveTest = { keys };
+    document.addEventListener('keydown', handleLiveTestKey);
+    document.getElementById('resultArea').classList.add('hidden');
+    document.getElementById('liveTestBtn').textContent = 'テストを終了して診断';
+    renderLiveTestHint();
+    draw();
+}
+
+// Keys sending the same code (two Space keys) are credited in keymap order, one press each
+function handleLiveTestKey(e) {
+    // Leave typing into form fields and browser shortcuts alone; the Ctrl/GUI keys' own keydown has the
+    // modifier flag set as well and still counts
+    if (e.repeat) return;
+    if ((e.ctrlKey && !e.code.startsWith('Control')) || (e.metaKey && !e.code.startsWith('Meta'))) return;
+    if (e.target.closest?.('input, textarea, select')) return;
+    const indices = state.liveTest.keys.get(e.code);
+    if (!indices) return;
+    e.preventDefault();
+    const index = indices.find(idx => !state.registeredKeys.has(idx));
+    if (index === undefined) return;
+    state.registeredKeys.add(index);
+    renderLiveTestHint();
+    draw();
+}
+
+function stopLiveTest() {
+    if (!state.liveTest) return;
+    state.liveTest = null;
+    document.removeEventListener('keydown', handleLiveTestKey);
+    document.getElementById('liveTestBtn').textContent = 'キー入力テスト';
+    document.getElementById('liveTestHint').classList.add('hidden');
+}
+
+// Every key the test could hear that never registered is tagged dead, and the diagnosis runs on them.
+// The keys that did register stay green.
+function finishLiveTest() {
+    const { keys } = state.liveTest;
+    const pressed = new Set(state.registeredKeys);
+    clearKeyTags();
+    pressed.forEach(idx => state.registeredKeys.add(idx));
+    keys.forEach(indices => indices.forEach(idx => {
+        if (!pressed.has(idx)) setKeySymptom(idx, 'dead');
+    }));
+    draw();
+    if (state.selectedIndices.size === 0) {
+        setStatus("全てのキーの入力を確認しました。", "success");
+    }
+    diagnose();
+}
+
+function toggleLiveTest() {
+    if (state.liveTest) {
+        finishLiveTest();
+    } else {
+        startLiveTest();
+    }
+}
+
+function renderLiveTestHint() {
+    const testable = new Set(Array.from(state.liveTest.keys.values()).flat());
+    const skipped = parsedData.physicalKeys.length - testable.size;
+    const pressed = Array.from(state.registeredKeys).filter(idx => testable.has(idx)).length;
+    const hint = document.getElementById('liveTestHint');
+    hint.textContent = `キーボードのキーを 1 つずつ押してください (${pressed} / ${testable.size} 個入力済み)。` +
+        (skipped > 0 ? `レイヤー切替などキーコードを送らないキー ${skipped} 個は判定しません (クリックで入力済みにできます)。` : '');
+    hint.classList.remove('hidden');
+}
+
+// --- ZMK Log Import ---
+// With CONFIG_ZMK_USB_LOGGING the kscan events show up as
+//   [00:00:12.345,678] <dbg> zmk: zmk_kscan_process_msgq: Row: 2, col: 5, position: 17, pressed: true
+// The position is the key's entry in the firmware's transform, the one chosen in the devicetree; a line
+// with only row / col carries the kscan's own numbers, before the side's row-offset / col-offset.
+
+const CHATTER_WINDOW_MS = 50; // A key pressed again this soon after its release is bouncing, not retyped
+
+// Events of a log: { events: [{ index, pressed, time }], ambiguous, unmatched }. time is in ms, or null
+// when the log has no timestamps.
+function parseZmkLog(text) {
+    const firmwareLayout = parsedData.layouts.find(l => l.via !== 'user');
+    const indexOfRC = (r, c) => parsedData.matrixMap.findIndex(m => m && m.r === r && m.c === c);
+    const validShields = getValidShields();
+    const result = { events: [], ambiguous: 0, unmatched: 0 };
+
+    text.split(/\r?\n/).forEach(line => {
+        const number = (re) => {
+            const match = re.exec(line);
+            return match ? parseInt(match[1]) : null;
+        };
+        const row = number(/\brow:\s*(\d+)/i);
+        const col = number(/\bcol(?:umn)?:\s*(\d+)/i);
+        const position = number(/\bposition:\s*(\d+)/i);
+        const status = /\bpressed:\s*(true|false)\b/i.exec(line) || /\b(pressed|released)\b/i.exec(line);
+        if (!status || (position === null && (row === null || col === null))) return;
+
+        let index = -1;
+        if (position !== null && firmwareLayout && firmwareLayout.matrixMap[position]) {
+            const m = firmwareLayout.matrixMap[position];
+            index = indexOfRC(m.r, m.c);
+        } else if (row !== null && col !== null) {
+            // Without a position the side is unknown: the event counts only when one side has such a key
+            const found = [...new Set(validShields.map(side => {
+                const pins = parsedData.pinMap[side];
+                return indexOfRC(row + (pins.rowOffset || 0), col + (pins.colOffset || 0));
+            }).filter(idx => idx !== -1))];
+            if (found.length > 1) {
+                result.ambiguous++;
+                return;
+            }
+            index = found.length === 1 ? found[0] : -1;
+        }
+        if (index === -1) {
+            result.unmatched++;
+            return;
+        }
+
+        const time = /\[(\d+):(\d+):(\d+)\.(\d+),(\d+)\]/.exec(line);
+        result.events.push({
+            index,
+            pressed: /^(true|pressed)$/i.test(status[1]),
+            time: time ? ((+time[1] * 60 + +time[2]) * 60 + +time[3]) * 1000 + +time[4] + +time[5] / 1000 : null
+        });
+    });
+    return result;
+}
+
+// Keys pressed again within CHATTER_WINDOW_MS of being released
+function findChatteringKeys(events) {
+    const released = new Map(); // index -> time of the last release
+    const chattering = new Set();
+    events.forEach(({ index, pressed, time }) => {
+        if (time === null) return;
+        if (!pressed) {
+            released.set(index, time);
+        } else if (released.has(index) && time - released.get(index) < CHATTER_WINDOW_MS) {
+            chattering.add(index);
+        }
+    });
+    return chattering;
+}
+
+// Keys in the log stay green, the ones that bounced are tagged chattering, and every other key of a side
+// that appears in the log is tagged dead; a side with no event at all was most likely not logged.
+function importZmkLog(text) {
+    const { events, ambiguous, unmatched } = parseZmkLog(text);
+    const summary = document.getElementById('logImportSummary');
+    summary.classList.remove('hidden');
+    if (events.length === 0) {
+        summary.textContent = ambiguous > 0
+            ? `position の無い行 ${ambiguous} 件は、どのサイドのキーか特定できませんでした。position を含むログを貼り付けてください。`
+            : 'キー入力のイベントが見つかりませんでした。CONFIG_ZMK_USB_LOGGING を有効にしたファームウェアのログか確認してください。';
+        return;
+    }
+
+    const validShields = getValidShields();
+    const sideOf = (idx) => locateMatrixPosition(parsedData.matrixMap[idx], validShields).side;
+    const seen = new Set(events.map(e => e.index));
+    const loggedSides = new Set(Array.from(seen).map(sideOf));
+    const chattering = findChatteringKeys(events);
+
+    clearKeyTags();
+    seen.forEach(idx => state.registeredKeys.add(idx));
+    parsedData.matrixMap.forEach((m, idx) => {
+        if (m && !seen.has(idx) && loggedSides.has(sideOf(idx))) setKeySymptom(idx, 'dead');
+    });
+    chattering.forEach(idx => setKeySymptom(idx, 'chatter'));
+
+    const notes = [`${events.length} 件のイベントから ${seen.size} 個のキーを確認しました。`,
+        `入力されなかったキー ${keysWithSymptom('dead').length} 個を無反応、${chattering.size} 個をチャタリングとして選択しました。`];
+    if (events.every(e => e.time === null)) notes.push('タイムスタンプが無いため、チャタリングは判定していません。');
+    if (ambiguous + unmatched > 0) notes.push(`どのキーか特定できない行 ${ambiguous + unmatched} 件は無視しました。`);
+    const skipped = validShields.filter(side => !loggedSides.has(side));
+    if (skipped.length > 0 && loggedSides.size > 0) notes.push(`ログに現れなかった ${skipped.join(', ')} は判定していません。`);
+    summary.textContent = notes.join('');
+
+    draw();
+    diagnose();
+}
+
+function initLogImport() {
+    document.getElementById('logImportBtn').addEventListener('click', () => {
+        importZmkLog(document.getElementById('logInput').value);
+    });
+    document.getElementById('logFileInput').addEventListener('change', async (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+        const text = await file.text();
+        document.getElementById('logInput').value = text;
+        importZmkLog(text);
+        e.target.value = '';
+    });
+}
+
+// --- Diagnostics ---
+
+function diagnose() {
+    const resultArea = document.getElementById('resultArea');
+    const resultContent = document.getElementById('resultContent');
+    resultContent.innerHTML = '';
+    closeWizard();
+
+    if (state.selectedIndices.size === 0 && state.extraReports.size === 0) {
+        resultArea.classList.add('hidden');
+        return;
+    }
+
+    resultArea.classList.remove('hidden');
+
+    state.issueMapping.clear();
+    state.partMapping.clear();
+    const failures = analyzeFailures();
+    const ul = document.createElement('ul');
+    ul.className = 'diagnosis-list';
+
+    let colorIndex = 0;
+    const nextColor = () => ISSUE_COLORS[colorIndex++ % ISSUE_COLORS.length];
+    failures.forEach(f => {
+        if (f.type === 'explanation') {
+            const alternatives = failures.filter(o => o.type === 'explanation' && o.wiring.unit.id === f.wiring.unit.id);
+            ul.appendChild(renderExplanation(f, nextColor, alternatives));
+        } else {
+            ul.appendChild(renderFailure(f, nextColor()));
+        }
+    });
+
+    initCanvas(); // Redraw with colors
+    drawPcb();
+    resultContent.appendChild(ul);
+}
+
+// One result; its keys are painted in color unless that is null (faults of an alternative explanation)
+function renderFailure(f, color) {
+    if (color && f.indices) {
+        f.indices.forEach(kIdx => {
+            // If a key is part of multiple issues, the first one found wins
+            if (!state.issueMapping.has(kIdx)) {
+                state.issueMapping.set(kIdx, color);
+            }
+        });
+    }
+    if (color) {
+        partsOfFailure(f).forEach(part => {
+            if (!state.partMapping.has(part)) state.partMapping.set(part, color);
+        });
+    }
+
+    const li = document.createElement('li');
+    li.className = `diagnosis-item type-${f.type}`;
+    // Set CSS variable for the theme color
+    if (color) li.style.setProperty('--issue-color', color);
+
+    let { title, desc } = describeFailure(f);
+
+    // Faults found by simulation tell how well their predicted keys match the selection
+    if (f.match && f.match.predicted > 1) {
+        desc += `<div class="match-info">この故障で不具合になるキー ${f.match.predicted} 個のうち ${f.match.matched} 個が選択と一致</div>`;
+    }
+
+    li.innerHTML = `<strong>${title}</strong><p>${desc}</p>`;
+    return li;
+}
+
+// A set of faults that together explain the tagged keys of a unit. Only the most likely one paints the
+// keyboard and offers the continuity-test wizard over all of the unit's explanations; the others are listed
+// below it for comparison.
+function renderExplanation(f, nextColor, alternatives) {
+    const li = document.createElement('li');
+    li.className = f.rank === 0 ? 'diagnosis-explanation' : 'diagnosis-explanation alternative';
+    const sideLabel = f.unit ? `${f.side} (${f.unit})` : f.side;
+
+    const header = document.createElement('div');
+    header.className = 'explanation-header';
+    header.innerHTML = `<span>${f.rank === 0 ? '最も可能性の高い説明' : `別の説明 ${f.rank}`} - ${sideLabel}</span>
+        <span class="confidence">確信度 ${Math.round(f.confidence * 100)}%</span>`;
+    li.appendChild(header);
+
+    if (f.recheck.length > 0) {
+        const keys = f.recheck.map(idx => {
+            const m = parsedData.matrixMap[idx];
+            return escapeHtml(getKeyInfo(m.r, m.c)?.silk_sw || `RC(${m.r},${m.c})`);
+        });
+        const note = document.createElement('p');
+        note.className = 'recheck-note';
+        note.innerHTML = `この説明が正しければ、選択していないキー <strong>${keys.join(', ')}</strong> も不具合になるはずです。もう一度確認してください。`;
+        li.appendChild(note);
+    }
+
+    const list = document.createElement('ul');
+    list.className = 'diagnosis-list';
+    f.faults.forEach(fault => list.appendChild(renderFailure(fault, f.rank === 0 ? nextColor() : null)));
+    li.appendChild(list);
+
+    if (f.rank === 0) {
+        const btn = document.createElement('button');
+        btn.className = 'btn btn-secondary btn-wizard';
+        btn.textContent = '導通テストで絞り込む';
+        btn.addEventListener('click', () => startWizard(alternatives));
+        li.appendChild(btn);
+    }
+    return li;
+}
+
+// Title and body text of one result. Names from the database, which may come from an imported netlist,
+// are escaped as they go into the HTML.
+function describeFailure(f) {
+    let title = '';
+    let desc = '';
+    // Children of a kscan-composite are named so that e.g. a direct-wired thumb key is told apart
+    const sideLabel = f.unit ? `${f.side} (${f.unit})` : f.side;
+
+    if (f.type === 'row' || f.type === 'col') {
+        const info = escapeEntry(getPinInfo(f.side, f.pin));
+        const silkName = info.silk === f.pin ? `${f.pin}` : info.silk;
+        const lines = describeMatrixLines(f.diodeDirection);
+        const isDrive = lines.drive === f.type;
+        title = f.type === 'row' ? `行 (Row) 全体の不具合 - ${sideLabel}` : `列 (Column) 全体の不具合 - ${sideLabel}`;
+        desc = `Pin: <strong>${silkName}</strong>`;
+        desc += `<br>役割: <strong>${isDrive ? '駆動線 (出力)' : '検出線 (入力)'}</strong> (diode-direction: ${f.diodeDirection || 'col2row'})`;
+        desc += `<div class="cause-box">
+            <strong>原因の候補:</strong><br>
+            1. このマイコンのピン (${silkName}) のハンダ付け<br>
+            ${isDrive
+                ? `2. ピンから各スイッチへの配線の断線 (このピンがスキャン信号を出力します)`
+                : `2. 各ダイオードからピンへの配線の断線 (このピンでキー入力を検出します)`}
+        </div>`;
+    } else if (f.type === 'charlie') {
+        const info = escapeEntry(getPinInfo(f.side, f.pin));
+        const silkName = info.silk === f.pin ? `${f.pin}` : info.silk;
+        const isInputFail = f.roleFail === 'in';
+        const isOutputFail = f.roleFail === 'out';
+        const isBothFail = f.roleFail === 'both';
+        
+        title = `Charlieplex GPIO ピン不具合 - ${sideLabel}`;
+        desc = `Pin: <strong>${silkName}</strong>`;
+        
+        if (isInputFail) {
+            desc += `<br>状態: <strong>信号受信用 (Input) としての動作不良</strong>`;
+            let diodeInfo = '';
+            if (info.line_diode) {
+                diodeInfo += `Line Diode: <strong>${info.line_diode}</strong><br>`;
+            } else {
+                diodeInfo += `<strong>(関連する Line Diode)</strong><br>`;
+            }
+            if (info.interrupt_diode) {
+                diodeInfo += `Interrupt Diode: <strong>${info.interrupt_diode}</strong><br>`;
+            } else { // Heuristic: Charlieplex pins usually have Int Diodes
+                diodeInfo += `<strong>(関連する Interrupt Diode)</strong><br>`;
+            }
+            
+            desc += `<div class="cause-box">
+                <strong>原因の候補:</strong><br>
+                ${diodeInfo}
+                マイコンピン: <strong>${silkName}</strong><br>
+                いずれかのハンダ不良が考えられます。
+            </div>`;
+        } else if (isOutputFail) {
+            desc += `<br>状態: <strong>信号送信用 (Output) としての動作不良</strong>`;
+            desc += `<div class="cause-box">
+                <strong>原因の候補:</strong><br>
+                マイコンピン: <strong>${silkName}</strong> のハンダ不良が考えられます。<br>
+                (ダイオード故障では通常、送信側は影響を受けません)
+            </div>`;
+        } else if (isBothFail) {
+            desc += `<br>状態: <strong>送受信（双方向）の動作不良</strong>`;
+            desc += `<div class="cause-box">
+                <strong>原因の候補:</strong><br>
+                マイコンピン: <strong>${silkName}</strong> のハンダ不良が最も疑われます。
+            </div>`;
+        }
+        
+        desc += `<br>このピンに関連する配線全体（複数のRow/Col）を確認してください。`;
+    } else if (f.type === 'direct') {
+        const info = escapeEntry(getPinInfo(f.side, f.pin));
+        const m = parsedData.matrixMap[f.indices[0]]; // Assuming direct failure is for a single key
+        const keyInfo = escapeEntry(getKeyInfo(m.r, m.c));
+        const silkName = keyInfo?.silk_sw || `SW (RC:${m.r},${m.c})`;
+        const socket = keyInfo?.silk_socket ? ` <strong>${keyInfo.silk_socket}</strong> ` : '';
+        title = "Direct GPIO 故障 - " + sideLabel;
+        desc = `スイッチ <strong>${silkName}</strong> が反応していません。`;
+        desc += `<br>このキーは GPIO ピン <strong>${info.silk}</strong>${describePinHeader(f.side, info)} に直接接続されています。`;
+        desc += `<div class="cause-box">
+            <strong>原因の候補:</strong><br>
+            1. マイコンピン <strong>${info.silk}</strong> のハンダ不良<br>
+            2. スイッチ <strong>${silkName}</strong> 本体の故障またはハンダ不良<br>
+            3. スイッチソケット${socket}の浮き・ハンダ不良
+        </div>`;
+        desc += `<br>※この構成ではダイオードを使用しないため、スイッチ周りとマイコンピンの直通確認を行ってください。`;
+    } else if (f.type === 'direct_gnd') {
+        title = "共通 GND 不良の疑い - " + sideLabel;
+        const count = f.indices.length;
+        desc = `このシールドのほぼ全てのキー（${count}個）が反応していません。`;
+        const shield = escapeEntry(getShieldInfo(f.side));
+        const gnd = shield.gnd ? `共通 GND パッド ${shield.gnd}` : '共通 GND ピン';
+        const power = [shield.battery && `バッテリーコネクタ <strong>${shield.battery}</strong>`, shield.power_switch && `電源スイッチ <strong>${shield.power_switch}</strong>`].filter(Boolean);
+        const causes = [
+            `<strong>${gnd}</strong>（マイコンまたは基板側）のハンダ不良`,
+            shield.mcu_socket && `マイコンのソケット / ピンヘッダ <strong>${shield.mcu_socket}</strong> の GND ピンの接触不良`,
+            '基板上の GND パターンの断線',
+            power.length > 0 ? `電源周り: ${power.join('、')} のハンダ付け・接触不良` : '電源周りの不備',
+            shield.jack && `左右をつなぐジャック <strong>${shield.jack}</strong> (TRRS / JST) の GND 線`
+        ].filter(Boolean);
+        desc += `<br>Direct GPIO 方式では、全スイッチが共通の GND ピンを共有しています。`;
+        desc += `<div class="cause-box">
+            <strong>原因の候補:</strong><br>
+            ${causes.map((cause, i) => `${i + 1}. ${cause}`).join('<br>')}
+        </div>`;
+        desc += `<br>個別ピンの確認の前に、まずは ${shield.gnd || 'GND ピン'} が確実にハンダ付けされているか確認してください。`;
+    } else if (f.type === 'unit_down') {
+        const shield = escapeEntry(getShieldInfo(f.side));
+        const power = [shield.battery && `バッテリーコネクタ <strong>${shield.battery}</strong>`, shield.power_switch && `電源スイッチ <strong>${shield.power_switch}</strong>`].filter(Boolean);
+        const causes = [
+            `電源が入っていない (USB ケーブル${power.length > 0 ? `、${power.join('、')}` : '、バッテリー、電源スイッチ'})`,
+            `左右の接続が確立していない (BLE のペアリング${shield.jack ? `、ジャック <strong>${shield.jack}</strong> (TRRS / JST) のハンダ付け` : ''})`,
+            'この基板に書き込んだファームウェアが別のシールド・ボード用である',
+            shield.mcu_socket && `マイコンのソケット / ピンヘッダ <strong>${shield.mcu_socket}</strong> の接触不良`
+        ].filter(Boolean);
+        title = `マイコンが動作していない疑い - ${sideLabel}`;
+        desc = `このシールドの全てのキー（${f.indices.length}個）が反応していません。`;
+        desc += `<div class="cause-box">
+            <strong>原因の候補:</strong><br>
+            ${causes.map((cause, i) => `${i + 1}. ${cause}`).join('<br>')}
+        </div>`;
+        desc += `<br>配線やダイオードを確認する前に、まずはこの基板単体で USB 接続し、キー入力があるか確認してください。`;
+    } else if (f.type === 'interrupt') {
+        const info = escapeEntry(getPinInfo(f.side, f.pin));
+        const silkName = info.silk === f.pin ? `${f.pin}` : info.silk;
+        const shield = escapeEntry(getShieldInfo(f.side));
+        title = `割り込み (Interrupt) GPIO 不具合 - ${sideLabel}`;
+        desc = `Pin: <strong>${silkName}</strong>${describePinHeader(f.side, info)}`;
+        desc += `<div class="cause-box">
+            <strong>対策:</strong><br>
+            このピンが浮いている、または導通していないと、当該サイドの全てのキー入力が反応しません。
+            ハンダ付けを再確認してください。${shield.mcu_socket
+                ? `<br>マイコンをソケット / ピンヘッダ <strong>${shield.mcu_socket}</strong> で取り付けている場合は、${info.header ? `<strong>${info.header}</strong> の` : 'このピンの'}接触も確認してください。`
+                : ''}
+        </div>`;
+    } else if (f.type === 'shifter_line') {
+        const lineName = f.line === 'row' ? `行 (Row) ${f.row}` : `列 (Column) ${f.col}`;
+        const chipName = f.shifter.ngpios > 8 ? `${f.shifter.ref} の ${f.chip + 1} 個目の 74HC595` : `${f.shifter.ref} (74HC595)`;
+        title = `シフトレジスタ出力の不具合 - ${sideLabel}`;
+        desc = `${lineName}: <strong>${chipName} の Q${String.fromCharCode(65 + f.q)} (出力 ${f.output})</strong>`;
+        desc += `<div class="cause-box">
+            <strong>原因の候補:</strong><br>
+            1. 74HC595 の Q${String.fromCharCode(65 + f.q)} ピンのハンダ不良<br>
+            2. IC ソケットの接触不良<br>
+            3. Q${String.fromCharCode(65 + f.q)} から${f.line === 'row' ? '行' : '列'}への配線の断線
+        </div>`;
+        desc += `<br>この線はマイコンのピンではなくシフトレジスタから駆動されています。`;
+    } else if (f.type === 'shifter_chip') {
+        const shifter = f.shifter;
+        const spiLine = (label, pin) => pin ? `${label}: <strong>${escapeHtml(getPinInfo(f.side, pin).silk)}</strong><br>` : '';
+        title = `シフトレジスタ (74HC595) の不具合 - ${sideLabel}`;
+        desc = `${shifter.ref}${f.chainLength > 1 ? ` の ${f.chip + 1} 個目以降` : ''} が駆動する全ての線が反応していません。`;
+        desc += `<div class="cause-box">
+            <strong>原因の候補:</strong><br>
+            1. 74HC595 本体の故障、向きの間違い、または IC ソケットの接触不良<br>
+            2. 74HC595 の電源 (VCC / GND) のハンダ不良<br>
+            ${f.chip > 0
+                ? `3. ${f.chip} 個目の 74HC595 の QH' から ${f.chip + 1} 個目の SER への配線`
+                : `3. SPI 信号線のハンダ不良 (${shifter.bus || 'SPI'})<br>
+            ${spiLine('CS (RCLK)', shifter.cs)}${spiLine('SCK (SRCLK)', shifter.sck)}${spiLine('MOSI (SER)', shifter.mosi)}`}
+        </div>`;
+    } else if (f.type === 'demux_line') {
+        const info = escapeEntry(getPinInfo(f.side, f.pin));
+        title = `デマルチプレクサのアドレス線の不具合 - ${sideLabel}`;
+        desc = `アドレス線 A${f.bit}: <strong>${info.silk}</strong>`;
+        desc += `<br>アドレスのビット ${f.bit} が ${f.stuck === 'low' ? '1' : '0'} の列 (${f.cols.join(', ')}) がすべて反応していません。`;
+        desc += `<div class="cause-box">
+            <strong>原因の候補:</strong><br>
+            1. マイコンピン <strong>${info.silk}</strong> のハンダ不良<br>
+            2. デマルチプレクサの選択ピン (A${f.bit}) のハンダ不良・配線の断線<br>
+            (線が${f.stuck === 'low' ? ' Low' : ' High'} に固定されたように見えています)
+        </div>`;
+    } else if (f.type === 'demux_col') {
+        title = `デマルチプレクサ出力の不具合 - ${sideLabel}`;
+        desc = `列 (Column) ${f.col}: アドレス <strong>${f.address}</strong> で選択される出力 <strong>Y${f.col}</strong>`;
+        desc += `<div class="cause-box">
+            <strong>原因の候補:</strong><br>
+            1. デマルチプレクサの Y${f.col} ピンのハンダ不良<br>
+            2. Y${f.col} から列への配線の断線
+        </div>`;
+    } else if (f.type === 'demux_chip') {
+        const pins = Object.values(f.pins).map(pin => escapeHtml(getPinInfo(f.side, pin).silk)).join(', ');
+        title = `デマルチプレクサ全体の不具合 - ${sideLabel}`;
+        desc = `デマルチプレクサが選択する全ての列が反応していません。`;
+        desc += `<div class="cause-box">
+            <strong>原因の候補:</strong><br>
+            1. デマルチプレクサ本体の故障、向きの間違い、またはソケットの接触不良<br>
+            2. デマルチプレクサの電源 (VCC / GND) とイネーブル (E / G) ピンのハンダ不良<br>
+            3. アドレス線 (${pins}) のハンダ不良
+        </div>`;
+    } else if (f.type === 'diode_direction_mismatch') {
+        const configured = f.diodeDirection || 'col2row';
+        const opposite = configured === 'row2col' ? 'col2row' : 'row2col';
+        const lines = describeMatrixLines(configured);
+        title = `diode-direction とハードウェアの不一致の疑い - ${sideLabel}`;
+        desc = `ほぼ全てのキー（${f.indices.length}個）が反応していません。特定の行・列では説明できないパターンです。`;
+        desc += `<div class="cause-box">
+            <strong>原因の候補:</strong><br>
+            1. 設定 (<code>diode-direction = "${configured}"</code>) に対してダイオードが全て逆向きに実装されている<br>
+            　→ この設定ではダイオードのカソード (帯) は <strong>${lines.cathodeSide}</strong> 側を向いている必要があります。<br>
+            　→ 基板を直せない場合は <code>diode-direction = "${opposite}"</code> に変更して試してください。<br>
+            2. マイコンが起動していない、または電源・GND のハンダ不良
+        </div>`;
+        desc += `<br>一部のダイオードだけが逆向きの場合は、そのキーが反応しないか、同時押しでゴースト入力が発生します。`;
+    } else if (f.type === 'bad_switch') {
+        const keyInfo = escapeEntry(getKeyInfo(f.r, f.c));
+        title = `スイッチの不良 (チャタリング) - ${sideLabel}`;
+        desc = `Matrix: ${f.r}, ${f.c}`;
+        desc += `<div class="cause-box">
+            <strong>原因の候補:</strong><br>
+            1. スイッチ${keyInfo ? ` <strong>${keyInfo.silk_sw}</strong> ` : ''}の接点の劣化・不良 (スイッチを交換して確認)<br>
+            2. スイッチソケットのハンダ付けが不十分で、押下時に接触が途切れる<br>
+            3. ソフトウェア側では <code>debounce-press-ms</code> / <code>debounce-release-ms</code> を長くすると緩和できます
+        </div>`;
+    } else if (f.type === 'line_short') {
+        const silks = f.pins.map(pin => escapeHtml(getPinInfo(f.side, pin).silk));
+        if (f.scope === 'key') {
+            const keyInfo = escapeEntry(getKeyInfo(f.r, f.c));
+            title = `押しっぱなし (配線の短絡) - ${sideLabel}`;
+            desc = `Matrix: ${f.r}, ${f.c} / Pin: <strong>${silks.join(', ')}</strong>`;
+            desc += `<div class="cause-box">
+                <strong>原因の候補:</strong><br>`;
+            if (f.mode === 'direct') {
+                desc += `1. ピン (${silks[0]}) と GND の短絡 (スイッチのパッド間のハンダブリッジ等)<br>
+                2. スイッチ${keyInfo ? ` <strong>${keyInfo.silk_sw}</strong> ` : ''}が機械的に押されたまま戻らない`;
+            } else {
+                desc += `1. このキーの位置で 2 本の配線 (${silks.join(' と ')}) が直接接触している<br>
+                　→ スイッチソケットのパッド間、またはダイオード${keyInfo && keyInfo.silk_d ? ` <strong>${keyInfo.silk_d}</strong> ` : ''}の両端のハンダブリッジ<br>
+                2. スイッチ${keyInfo ? ` <strong>${keyInfo.silk_sw}</strong> ` : ''}が機械的に押されたまま戻らない`;
+            }
+            desc += `</div>`;
+        } else {
+            const lines = describeMatrixLines(f.diodeDirection);
+            title = `${f.scope === 'row' ? '行 (Row)' : '列 (Column)'} 全体が押しっぱなし - ${sideLabel}`;
+            desc = `Pin: <strong>${silks[0]}</strong> (${lines.sense === f.scope ? '検出線' : '駆動線'})`;
+            desc += `<div class="cause-box">
+                <strong>原因の候補:</strong><br>
+                1. このピン (${silks[0]}) が電源 (VCC) や隣のピンとハンダブリッジしている<br>
+                2. この配線と交差する全ての配線との短絡 (基板の傷、ビアの不良)
+            </div>`;
+        }
+    } else if (f.type === 'pin_bridge') {
+        const silks = f.pins.map(pin => escapeHtml(getPinInfo(f.side, pin).silk));
+        const neighbours = (f.neighbours || []).map(pin => escapeHtml(getPinInfo(f.side, pin).silk));
+        if (f.scope === 'key') {
+            title = `隣接ピンのハンダブリッジ - ${sideLabel}`;
+            desc = `Matrix: ${f.r}, ${f.c} / Pin: <strong>${silks[0]}</strong>`;
+        } else {
+            title = `隣接する${f.scope === 'row' ? '行 (Row)' : '列 (Column)'}のハンダブリッジ - ${sideLabel}`;
+            desc = `Pin: <strong>${silks.join(', ')}</strong>`;
+        }
+        desc += `<div class="cause-box">
+            <strong>原因の候補:</strong><br>`;
+        if (silks.length > 1) {
+            desc += `ピン ${silks.join(' と ')} の間のハンダブリッジ、または配線同士の接触`;
+        } else if (neighbours.length > 0) {
+            desc += `ピン ${silks[0]} と隣接するピン (${neighbours.join(' / ')}) の間のハンダブリッジ、または配線同士の接触`;
+        } else {
+            desc += `ピン ${silks[0]} と隣接するピンの間のハンダブリッジ、または配線同士の接触`;
+        }
+        desc += `<br>片方のキーを押すと、もう片方の配線のキーも同時に入力されます。
+        </div>`;
+    } else if (f.type === 'diode_short') {
+        const keyInfo = escapeEntry(getKeyInfo(f.r, f.c));
+        const diode = keyInfo && keyInfo.silk_d ? ` <strong>${keyInfo.silk_d}</strong> ` : '';
+        title = `ダイオードの短絡 (ゴースト入力) - ${sideLabel}`;
+        desc = `Matrix: ${f.r}, ${f.c}`;
+        desc += `<div class="cause-box">
+            <strong>原因の候補:</strong><br>`;
+        if (f.mirror !== null && f.mirror !== undefined) {
+            const m = parsedData.matrixMap[f.mirror];
+            desc += `1. ダイオード${diode}の短絡・未実装 (ハンダで両端がつながっている)<br>
+            　→ Charlieplex では同じ 2 本のピンを逆向きに使うキー (Matrix: ${m.r}, ${m.c}) も同時に入力されます。<br>`;
+        } else {
+            desc += `1. ダイオード${diode}の短絡・未実装・逆向き (同時押しで電流が逆流し、別のキーが入力されます)<br>`;
+        }
+        desc += `2. スイッチソケットのパッドと隣のキーの配線とのハンダブリッジ
+        </div>`;
+    } else if (f.type === 'wiring_mismatch') {
+        if (f.scope === 'layout') {
+            title = `キー配置とファームウェアの不一致 - ${sideLabel}`;
+            desc = `多くのキー（${f.indices.length}個）で別のキーが入力されています。`;
+            desc += `<div class="cause-box">
+                <strong>原因の候補:</strong><br>
+                1. 選択しているレイアウト・ビルドターゲットが実際の基板と異なる<br>
+                2. <code>matrix-transform</code> の <code>map</code> と <code>physical-layout</code> の並び順、または keymap の順序の不一致<br>
+                3. <code>col-offset</code> / <code>row-offset</code> の設定の誤り
+            </div>`;
+        } else if (f.scope === 'key') {
+            const silks = f.pins.map(pin => escapeHtml(getPinInfo(f.side, pin).silk));
+            const keyInfo = escapeEntry(getKeyInfo(f.r, f.c));
+            title = `別のキーが入力される - ${sideLabel}`;
+            desc = `Matrix: ${f.r}, ${f.c} / Pin: <strong>${silks.join(', ')}</strong>`;
+            desc += `<div class="cause-box">
+                <strong>原因の候補:</strong><br>
+                1. <code>matrix-transform</code> における <code>RC(${f.r},${f.c})</code> の位置、または keymap の割り当ての誤り<br>
+                2. スイッチ${keyInfo ? ` <strong>${keyInfo.silk_sw}</strong> ` : ''}が別の行・列に配線されている (配線ミス、ジャンパーの誤り)
+            </div>`;
+        } else {
+            const silk = escapeHtml(getPinInfo(f.side, f.pins[0]).silk);
+            const prop = f.scope === 'row' ? 'row-gpios' : 'col-gpios';
+            title = `${f.scope === 'row' ? '行 (Row)' : '列 (Column)'} 全体で別のキーが入力される - ${sideLabel}`;
+            desc = `Pin: <strong>${silk}</strong>`;
+            desc += `<div class="cause-box">
+                <strong>原因の候補:</strong><br>
+                1. <code>${prop}</code> のピンの順序が基板と一致していない (2 本の入れ替わり)<br>
+                2. このピン (${silk}) の配線が基板上で別の${f.scope === 'row' ? '行' : '列'}につながっている
+            </div>`;
+        }
+    } else if (f.type === 'line_pair_short') {
+        const [silkA, silkB] = f.pins.map(pin => escapeHtml(getPinInfo(f.side, pin).silk));
+        const lineName = { row: '行 (Row)', col: '列 (Column)', pin: 'ピン' }[f.line];
+        const pairs = f.pairs.map(([src, idx]) => {
+            const a = parsedData.matrixMap[src];
+            const b = parsedData.matrixMap[idx];
+            return `${a.r}, ${a.c} → ${b.r}, ${b.c}`;
+        });
+        title = `${lineName}同士の短絡 - ${sideLabel}`;
+        desc = `Pin: <strong>${silkA}</strong> ⇔ <strong>${silkB}</strong>`;
+        desc += `<br>記録 (押したキー → 一緒に入力されたキー): ${pairs.join(' / ')}`;
+        desc += `<div class="cause-box">
+            <strong>原因の候補:</strong><br>
+            1. ピン ${silkA} と ${silkB} の間のハンダブリッジ (マイコンのピンが隣り合っている場合は特に)<br>
+            2. 2 本の配線が基板上で接触している (パターンの傷、ビアやスイッチソケットのパッドのハンダ)`;
+        if (f.line !== 'pin') {
+            const other = f.line === 'row' ? '列' : '行';
+            desc += `<br>この短絡があると、一方の${f.line === 'row' ? '行' : '列'}のキーを押すたびに、同じ${other}にあるもう一方の${f.line === 'row' ? '行' : '列'}のキーも入力されます。`;
+        }
+        desc += `</div>`;
+    } else if (f.type === 'extra_unexplained') {
+        const a = parsedData.matrixMap[f.index];
+        const b = parsedData.matrixMap[f.fired];
+        title = `同時入力の原因を特定できません - ${sideLabel}`;
+        desc = `記録: ${a.r}, ${a.c} → ${b.r}, ${b.c}`;
+        if (f.crossUnit) {
+            desc += `<div class="cause-box">
+                <strong>原因の候補:</strong><br>
+                2 つのキーは別の kscan (または左右別の基板) で読み取られており、配線の短絡では説明できません。<br>
+                keymap・コンボ・マクロの設定を確認してください。
+            </div>`;
+        } else {
+            const silk = pin => escapeHtml(getPinInfo(f.side, pin).silk);
+            const corners = f.corners.map(k => `${parsedData.matrixMap[k].r}, ${parsedData.matrixMap[k].c}`);
+            desc += `<div class="cause-box">
+                <strong>原因の候補:</strong><br>
+                2 つのキーは行も列も共有していないため、1 か所の短絡では説明できません。<br>
+                1. 他のキーを押したままだった場合: ${corners.length > 0 ? `Matrix ${corners.join(' / ')} の` : '長方形の角にあたるキーの'}ダイオードの短絡・逆向きによるゴースト<br>
+                2. 行 (${silk(f.rowPins[0])} ⇔ ${silk(f.rowPins[1])}) と 列 (${silk(f.colPins[0])} ⇔ ${silk(f.colPins[1])}) の両方のハンダブリッジ
+            </div>`;
+        }
+    } else if (f.type === 'single') {
+        const matrixR = f.r;
+        const matrixC = f.c;
+        const keyInfo = escapeEntry(getKeyInfo(matrixR, matrixC));
+
+        // direct 配線にはキーごとのダイオードが無いので向きの確認は不要
+        const diodeNote = f.mode === 'direct' ? '' : `<br>
+                ダイオードの向きも確認してください。カソード (帯) は <strong>${describeMatrixLines(f.diodeDirection).cathodeSide}</strong> 側を向いている必要があります。
+                逆向きの場合、単独押しでは反応せず、同時押しではゴースト入力の原因になります。`;
+
+        title = `個別キーの不具合 - ${sideLabel}`;
+        if (keyInfo) {
+            desc = `Matrix: ${matrixR}, ${matrixC}`;
+            desc += `<div class="cause-box">
+                <strong>確認部品:</strong><br>
+                Switch: <strong>${keyInfo.silk_sw || '(該当するスイッチ)'}</strong><br>
+                ${keyInfo.silk_socket ? `Socket: <strong>${keyInfo.silk_socket}</strong><br>` : ''}
+                Diode: <strong>${keyInfo.silk_d || '(関連するダイオード)'}</strong><br>
+                ${keyInfo.silk_socket
+                    ? `スイッチソケット ${keyInfo.silk_socket} およびダイオードのハンダ付けを確認してください。`
+                    : '該当するスイッチソケットおよびダイオードのハンダ付けを確認してください。'}${diodeNote}
+            </div>`;
+        } else {
+            desc = `Matrix: ${matrixR}, ${matrixC}`;
+            desc += `<div class="cause-box">
+                <strong>確認内容:</strong><br>
+                個別の接触不良が考えられます。<br>
+                対象のスイッチと対応するスイッチソケット、ダイオードのハンダ付けを確認してください。${diodeNote}
+            </div>`;
+        }
+    }
+
+    return { title, desc };
+}
+
+// " (J1 の 7)" after a pin name when the pin goes through an MCU socket or pin header; info is escaped already
+function describePinHeader(side, info) {
+    if (!info.header) return '';
+    const socket = escapeEntry(getShieldInfo(side)).mcu_socket;
+    // "7" reads as "J1 の 7"; "J1-7" already names the socket
+    const prefix = !socket ? 'ヘッダ ' : info.header.startsWith(socket) ? '' : `${socket} の `;
+    return ` (${prefix}<strong>${info.header}</strong>)`;
+}
+
+// Legacy "Left_" / "Right_" and bare pin keys were rewritten to shield keys when the database was loaded
+function getPinInfo(side, rawPinName) {
+    const key = `${side}_${rawPinName}`;
+    if (parsedData.database && parsedData.database.pins[key]) {
+        // Entries not filled in yet (template, editor) keep the firmware name
+        const entry = parsedData.database.pins[key];
+        return { ...entry, silk: entry.silk || rawPinName };
+    }
+    return { silk: rawPinName, line_diode: null, interrupt_diode: null };
+}
+function getKeyInfo(r, c) {
+    if (parsedData.database && parsedData.database.keys) {
+        // Find key with matching matrix [r, c]
+        // Note: JSON arrays are objects, strict comparison might fail if not careful, but values are primitive nums
+        // Entries without a valid matrix were dropped by prepareDatabase
+        const found = parsedData.database.keys.find(k => k.matrix[0] === r && k.matrix[1] === c);
+        // Entries not filled in yet (template, editor) count as missing
+        return found && (found.silk_sw || found.silk_d || found.silk_socket) ? found : null;
+    }
+    return null;
+}
+// Parts a whole half depends on (MCU socket, GND pads, TRRS/JST jack, battery connector, power switch)
+function getShieldInfo(side) {
+    return (parsedData.database && parsedData.database.shields && parsedData.database.shields[side]) || {};
+}
+
+function generateDatabaseTemplate() {
+    const db = {
+        version: DATABASE_VERSION,
+        pins: {},
+        keys: [],
+        shields: {}
+    };
+
+    // 1. Populate Pins from pinMap
+    // Iterate all effectively parsed shields (and the children of a kscan-composite)
+    Object.keys(parsedData.pinMap).forEach(shieldName => {
+        const shieldPins = parsedData.pinMap[shieldName];
+        if (!shieldPins) return;
+
+        configPinNames(shieldPins).forEach((role, p) => {
+            db.pins[`${shieldName}_${p}`] = role === 'interrupt'
+                ? { silk: "", header: "", description: "" }
+                : { silk: "", header: "", line_diode: "", interrupt_diode: "" };
+        });
+        db.shields[shieldName] = Object.fromEntries(DATABASE_SHIELD_FIELDS.map(field => [field, ""]));
+    });
+
+    // 2. Populate Keys
+    parsedData.matrixMap.forEach((m, i) => {
+        if (!m) return;
+        db.keys.push({
+            matrix: [m.r, m.c],
+            silk_sw: "",
+            silk_d: "",
+            silk_socket: ""
+        });
+    });
+
+    return JSON.stringify(db, null, 2);
+}
+async function handleManualDatabaseUpload(e) {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    try {
+        const text = await file.text();
+        const prepared = prepareDatabase(JSON.parse(text), parsedData, loadedConfig ? loadedConfig.targets : []);
+        parsedData.database = prepared.database;
+        loadedConfig.database = prepared.database;
+        console.log("Manual database loaded:", prepared.database);
+        renderDatabaseReport(file.name, prepared);
+        refreshDbEditor();
+        
+        setStatus("手動データベースを読み込みました", "success");
+        document.getElementById('dlTemplateContainer').classList.add('hidden');
+        document.getElementById('dbManualSection').classList.add('hidden');
+        
+        // Redraw diagnosis if result area is visible
+        if (!document.getElementById('resultArea').classList.contains('hidden')) {
+            diagnose();
+        }
+    } catch (err) {
+        console.error("Manual DB upload failed:", err);
+        setStatus(`DBファイルの読み込みに失敗しました: ${err.message}`, "error");
+    }
+}
+
+function downloadTemplate() {
+    saveJsonFile(generateDatabaseTemplate(), 'matrix-diagnoser-database.json');
+}
+
+function saveJsonFile(json, fileName) {
+    const blob = new Blob([json], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = fileName;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+}
+
+// --- Database Schema ---
+// matrix-diagnoser-database.json, version 3:
+//   { version: 3,
+//     pins: { "<shield>_<pin>": { silk, header?, line_diode?, interrupt_diode?, description? } },
+//     keys: [{ matrix: [row, col], silk_sw?, silk_d?, silk_socket? }],
+//     shields: { "<shield>": { mcu_socket?, gnd?, jack?, battery?, power_switch? } } }
+// `header` is the pin of the MCU socket or pin header the GPIO goes through, `silk_socket` the key's hotswap
+// socket, and `shields` the parts every key of a half depends on. Version 2 lacks those fields only, so it
+// loads as is. Files without a version are version 1, whose pins may be keyed "Left_<pin>" / "Right_<pin>" or
+// by the bare pin name; they are rewritten to shield keys when loaded. Every database, fetched or uploaded, goes through
+// prepareDatabase: broken entries are dropped with a message each, and only a wrong top level rejects the file.
+
+const DATABASE_VERSION = 3;
+const DATABASE_PIN_FIELDS = ['silk', 'header', 'line_diode', 'interrupt_diode', 'description'];
+const DATABASE_KEY_FIELDS = ['silk_sw', 'silk_d', 'silk_socket'];
+const DATABASE_SHIELD_FIELDS = ['mcu_socket', 'gnd', 'jack', 'battery', 'power_switch'];
+
+// { database, errors: [message], migrated: [message] } of a parsed JSON, against the config in `data` built
+// from one of `targets` (the build.yaml entries)
+function prepareDatabase(json, data, targets) {
+    if (!json || typeof json !== 'object' || Array.isArray(json)) {
+        throw new Error('データベースの JSON が { "pins": {...}, "keys": [...] } の形ではありません');
+    }
+    const version = json.version === undefined ? 1 : json.version;
+    if (!Number.isInteger(version) || version < 1) throw new Error(`version "${json.version}" は不正な値です`);
+    if (version > DATABASE_VERSION) {
+        throw new Error(`version ${version} のデータベースには対応していません (対応: ${DATABASE_VERSION} まで)。ページを再読み込みしてください`);
+    }
+    if (json.pins !== undefined && (!json.pins || typeof json.pins !== 'object' || Array.isArray(json.pins))) {
+        throw new Error('"pins" はオブジェクトである必要があります');
+    }
+    if (json.keys !== undefined && !Array.isArray(json.keys)) throw new Error('"keys" は配列である必要があります');
+    if (json.shields !== undefined && (!json.shields || typeof json.shields !== 'object' || Array.isArray(json.shields))) {
+        throw new Error('"shields" はオブジェクトである必要があります');
+    }
+
+    const errors = [];
+    // Silk names are strings; empty or null means not filled in yet
+    const badFields = (entry, fields) => fields.filter(f => entry[f] !== undefined && entry[f] !== null && typeof entry[f] !== 'string');
+
+    const pins = {};
+    Object.entries(json.pins || {}).forEach(([name, entry]) => {
+        if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+            errors.push(`pins["${name}"]: オブジェクトではありません`);
+            return;
+        }
+        const bad = badFields(entry, DATABASE_PIN_FIELDS);
+        if (bad.length > 0) {
+            errors.push(`pins["${name}"]: ${bad.join(', ')} は文字列である必要があります`);
+            return;
+        }
+        pins[name] = entry;
+    });
+
+    const keys = [];
+    const seen = new Map(); // "r,c" -> index in json.keys
+    (json.keys || []).forEach((entry, i) => {
+        if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+            errors.push(`keys[${i}]: オブジェクトではありません`);
+            return;
+        }
+        const m = entry.matrix;
+        if (!Array.isArray(m) || m.length !== 2 || !m.every(v => Number.isInteger(v) && v >= 0)) {
+            errors.push(`keys[${i}]: matrix は [行, 列] の 0 以上の整数 2 つである必要があります (${JSON.stringify(m)})`);
+            return;
+        }
+        const bad = badFields(entry, DATABASE_KEY_FIELDS);
+        if (bad.length > 0) {
+            errors.push(`keys[${i}] (matrix [${m.join(', ')}]): ${bad.join(', ')} は文字列である必要があります`);
+            return;
+        }
+        if (seen.has(`${m[0]},${m[1]}`)) {
+            errors.push(`keys[${i}]: matrix [${m.join(', ')}] は keys[${seen.get(`${m[0]},${m[1]}`)}] と重複しています (先の項目を使用)`);
+            return;
+        }
+        seen.set(`${m[0]},${m[1]}`, i);
+        keys.push(entry);
+    });
+
+    const shields = {};
+    Object.entries(json.shields || {}).forEach(([name, entry]) => {
+        if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+            errors.push(`shields["${name}"]: オブジェクトではありません`);
+            return;
+        }
+        const bad = badFields(entry, DATABASE_SHIELD_FIELDS);
+        if (bad.length > 0) {
+            errors.push(`shields["${name}"]: ${bad.join(', ')} は文字列である必要があります`);
+            return;
+        }
+        shields[name] = entry;
+    });
+
+    const database = { ...json, version: DATABASE_VERSION, pins, keys, shields };
+    const migrated = version < 2 ? migrateLegacyPins(database, data, targets) : [];
+    return { database, errors, migrated };
+}
+
+// Version 1 -> 2: "Left_<pin>" goes to every shield whose name contains "left", "Right_<pin>" to every other
+// one, and a bare pin name to every shield using that pin. Shields are those of the parsed config and of all
+// build targets, so switching targets keeps working. Entries already keyed by shield win.
+function migrateLegacyPins(database, data, targets) {
+    const parsedSides = Object.keys(data.pinMap);
+    const sides = [...new Set([...parsedSides, ...targets.filter(t => !t.reset).map(t => t.side)])];
+    const usedPins = new Map(); // pin -> sides of the parsed config using it
+    parsedSides.forEach(side => configPinNames(data.pinMap[side]).forEach(pin => {
+        if (!usedPins.has(pin)) usedPins.set(pin, []);
+        usedPins.get(pin).push(side);
+    }));
+
+    const migrated = [];
+    const pins = {};
+    const legacy = [];
+    Object.entries(database.pins).forEach(([name, entry]) => {
+        const prefix = name.match(/^(Left|Right)_(.+)$/);
+        if (prefix) {
+            const isLeft = prefix[1] === 'Left';
+            legacy.push([name, entry, sides.filter(s => s.toLowerCase().includes('left') === isLeft).map(s => `${s}_${prefix[2]}`)]);
+        } else if (usedPins.has(name) && !sides.some(s => name.startsWith(`${s}_`))) {
+            legacy.push([name, entry, usedPins.get(name).map(s => `${s}_${name}`)]);
+        } else {
+            pins[name] = entry;
+        }
+    });
+    legacy.forEach(([name, entry, targets]) => {
+        const added = targets.filter(key => !pins[key]);
+        added.forEach(key => {
+            pins[key] = { ...entry };
+        });
+        migrated.push(added.length > 0
+            ? `pins["${name}"] → ${added.map(key => `"${key}"`).join(', ')}`
+            : `pins["${name}"]: 対応するシールドが無いため削除しました`);
+    });
+    database.pins = pins;
+    return migrated;
+}
+
+// Pin names a shield's kscan uses, each with the role its database entry takes
+function configPinNames(shieldPins) {
+    const names = new Map(); // pin -> 'line' | 'interrupt'
+    (shieldPins.units ? shieldPins.units.map(u => u.pins) : [shieldPins]).forEach(pm => {
+        // Standard Row/Col, Charlieplex, Direct, Demux address lines
+        [pm.row, pm.col, pm.gpios, pm.direct, pm.demux].forEach(pins => {
+            if (pins) Object.values(pins).forEach(p => names.set(p, 'line'));
+        });
+        if (pm.interrupt && !names.has(pm.interrupt)) names.set(pm.interrupt, 'interrupt');
+    });
+    return names;
+}
+
+// Messages for database entries the parsed config doesn't have, and config pins and keys missing from the database
+function checkDatabaseAgainstConfig(database, data, targets) {
+    const configPins = new Set();
+    Object.keys(data.pinMap).forEach(side => configPinNames(data.pinMap[side]).forEach((role, pin) => configPins.add(`${side}_${pin}`)));
+    const configKeys = new Set(data.matrixMap.filter(Boolean).map(m => `${m.r},${m.c}`));
+    // Pins of the other build targets belong to the config too, just not to the one parsed now
+    const otherSides = targets.map(t => t.side).filter(side => !data.pinMap[side]);
+
+    const dbKeys = new Set(database.keys.map(k => `${k.matrix[0]},${k.matrix[1]}`));
+    return {
+        unknownShields: Object.keys(database.shields).filter(name => !data.pinMap[name] && !otherSides.includes(name)),
+        unknownPins: Object.keys(database.pins).filter(name => !configPins.has(name) && !otherSides.some(s => name.startsWith(`${s}_`))),
+        unknownKeys: [...dbKeys].filter(k => !configKeys.has(k)).map(k => `[${k.replace(',', ', ')}]`),
+        missingPins: [...configPins].filter(name => !database.pins[name]),
+        missingKeys: [...configKeys].filter(k => !dbKeys.has(k)).map(k => `[${k.replace(',', ', ')}]`)
+    };
+}
+
+// Result of loading a database: entry errors, migrated keys and mismatches with the parsed config.
+// Hidden when nothing was loaded.
+function renderDatabaseReport(source, load) {
+    const report = document.getElementById('dbReport');
+    report.innerHTML = '';
+    const { errors, migrated } = load || { errors: [], migrated: [] };
+    const check = parsedData.database
+        ? checkDatabaseAgainstConfig(parsedData.database, parsedData, loadedConfig ? loadedConfig.targets : [])
+        : { unknownShields: [], unknownPins: [], unknownKeys: [], missingPins: [], missingKeys: [] };
+    const sections = [
+        [errors, '次の項目は形式が正しくないため読み込みませんでした'],
+        [migrated, '旧形式 (Left_ / Right_ / ピン名のみ) のピンをシールド名のキーに書き換えました'],
+        [check.unknownShields, '設定ファイルに無いシールド (shields)'],
+        [check.unknownPins, '設定ファイルに無いピン'],
+        [check.unknownKeys, '設定ファイルに無いキー (matrix)'],
+        [check.missingPins, 'データベースに無いピン'],
+        [check.missingKeys, 'データベースに無いキー (matrix)']
+    ].filter(([items]) => items.length > 0);
+    report.classList.toggle('hidden', sections.length === 0);
+    if (sections.length === 0) return;
+
+    const summary = document.createElement('p');
+    summary.innerHTML = `<strong>${escapeHtml(source)}</strong> を確認しました。`;
+    report.appendChild(summary);
+    sections.forEach(([items, label]) => {
+        const details = document.createElement('details');
+        const title = document.createElement('summary');
+        title.textContent = `${label} (${items.length})`;
+        details.appendChild(title);
+        const list = document.createElement('ul');
+        items.forEach(text => {
+            const li = document.createElement('li');
+            li.textContent = text;
+            list.appendChild(li);
+        });
+        details.appendChild(list);
+        report.appendChild(details);
+    });
+
+    if (migrated.length > 0 || errors.length > 0) {
+        const btn = document.createElement('button');
+        btn.className = 'btn btn-secondary';
+        btn.textContent = '修正したデータベースをダウンロード';
+        btn.addEventListener('click', () => saveJsonFile(JSON.stringify(parsedData.database, null, 2), 'matrix-diagnoser-database.json'));
+        report.appendChild(btn);
+    }
+}
+
+// --- Database Editor ---
+// Fills in the database from the page instead of the JSON template: clicking a key opens its silk_sw / silk_d /
+// silk_socket, and tables list every pin of pinMap and the parts of each shield. Edits go straight into parsedData.database, so diagnose() uses them
+// at once, and are autosaved to localStorage per repository until exported or discarded.
+
+const DB_DRAFT_KEY_PREFIX = 'matrix-diagnoser-db-draft:';
+
+let dbEditor = null; // { keyIndex } while the editor is open
+
+function dbDraftKey() {
+    return DB_DRAFT_KEY_PREFIX + loadedConfig.id;
+}
+
+function toggleDbEditor() {
+    if (dbEditor) {
+        closeDbEditor();
+    } else {
+        openDbEditor();
+    }
+}
+
+function openDbEditor() {
+    if (!loadedConfig) return;
+    stopLiveTest();
+    dbEditor = { keyIndex: null };
+
+    // A draft left from an earlier visit wins over the loaded database
+    const draft = localStorage.getItem(dbDraftKey());
+    let restoredAt = null;
+    if (draft) {
+        try {
+            const saved = JSON.parse(draft);
+            parsedData.database = prepareDatabase(saved.database, parsedData, loadedConfig.targets).database;
+            restoredAt = saved.savedAt;
+        } catch (e) {
+            console.warn("Database draft could not be restored:", e);
+        }
+    }
+    parsedData.database = editableDatabase(parsedData.database);
+
+    document.getElementById('dbEditor').classList.remove('hidden');
+    document.getElementById('dbEditBtn').textContent = 'DB 編集を終了';
+    document.getElementById('dbEditorStatus').textContent = restoredAt
+        ? `前回の編集内容を復元しました (${new Date(restoredAt).toLocaleString()} に保存)`
+        : '編集内容はこのブラウザに自動保存されます。';
+    renderDbEditor();
+    draw();
+}
+
+function closeDbEditor() {
+    if (!dbEditor) return;
+    dbEditor = null;
+    document.getElementById('dbEditor').classList.add('hidden');
+    document.getElementById('dbEditBtn').textContent = 'DB 編集';
+    draw();
+}
+
+// Re-reads the database after it or the config was replaced (upload, KiCad import, another target or layout)
+function refreshDbEditor() {
+    if (!dbEditor) return;
+    dbEditor.keyIndex = null;
+    parsedData.database = editableDatabase(parsedData.database);
+    saveDbDraft();
+    renderDbEditor();
+}
+
+// A copy of `database` to edit, so the loaded one stays for "discard", with an empty entry for every pin and
+// key of the parsed config it lacks
+function editableDatabase(loaded) {
+    const database = JSON.parse(JSON.stringify(loaded || { version: DATABASE_VERSION, pins: {}, keys: [], shields: {} }));
+    Object.keys(parsedData.pinMap).forEach(side => configPinNames(parsedData.pinMap[side]).forEach((role, pin) => {
+        const key = `${side}_${pin}`;
+        if (!database.pins[key]) database.pins[key] = { silk: "", header: "", line_diode: "", interrupt_diode: "" };
+    }));
+    Object.keys(parsedData.pinMap).forEach(side => {
+        if (!database.shields[side]) database.shields[side] = Object.fromEntries(DATABASE_SHIELD_FIELDS.map(field => [field, ""]));
+    });
+    parsedData.matrixMap.forEach(m => {
+        if (m && !getKeyEntry(database, m)) database.keys.push({ matrix: [m.r, m.c], silk_sw: "", silk_d: "", silk_socket: "" });
+    });
+    return database;
+}
+
+function getKeyEntry(database, m) {
+    return database.keys.find(k => k.matrix[0] === m.r && k.matrix[1] === m.c);
+}
+
+function saveDbDraft() {
+    try {
+        localStorage.setItem(dbDraftKey(), JSON.stringify({ savedAt: Date.now(), database: parsedData.database }));
+        document.getElementById('dbEditorStatus').textContent = `自動保存しました (${new Date().toLocaleTimeString()})`;
+    } catch (e) {
+        console.warn("Database draft could not be saved:", e);
+        document.getElementById('dbEditorStatus').textContent = `自動保存に失敗しました: ${e.message}`;
+    }
+}
+
+function discardDbDraft() {
+    localStorage.removeItem(dbDraftKey());
+    parsedData.database = editableDatabase(loadedConfig.database);
+    document.getElementById('dbEditorStatus').textContent = '編集内容を破棄し、読み込んだデータベースに戻しました。';
+    renderDbEditor();
+    draw();
+}
+
+function selectEditorKey(index) {
+    dbEditor.keyIndex = index;
+    state.focusedKey = index;
+    state.focusedRef = null;
+    renderDbEditorKey();
+    draw();
+    drawPcb();
+    document.getElementById('dbEditorSwInput')?.focus();
+}
+
+// Keys in layout order get prefix1..prefixN in `field`
+function numberKeysInLayoutOrder(field, prefix) {
+    let n = 0;
+    parsedData.matrixMap.forEach(m => {
+        if (m) getKeyEntry(parsedData.database, m)[field] = `${prefix}${++n}`;
+    });
+    saveDbDraft();
+    renderDbEditorKey();
+    draw();
+}
+
+function renderDbEditor() {
+    renderDbEditorKey();
+    renderDbEditorPins();
+    renderDbEditorShields();
+}
+
+function renderDbEditorKey() {
+    const panel = document.getElementById('dbEditorKey');
+    panel.innerHTML = '';
+    const m = dbEditor.keyIndex !== null ? parsedData.matrixMap[dbEditor.keyIndex] : null;
+    if (!m) {
+        panel.textContent = dbEditor.keyIndex !== null
+            ? 'このキーは transform に含まれないため、データベースに登録できません。'
+            : 'キーボードのキーをクリックすると、スイッチとダイオードのシルクを入力できます。';
+        return;
+    }
+
+    const entry = getKeyEntry(parsedData.database, m);
+    const title = document.createElement('h4');
+    title.textContent = `キー RC(${m.r}, ${m.c})`;
+    panel.appendChild(title);
+    const fields = [
+        ['silk_sw', 'スイッチ (silk_sw)', 'dbEditorSwInput', 'SW1'],
+        ['silk_d', 'ダイオード (silk_d)', 'dbEditorDiodeInput', 'D1'],
+        ['silk_socket', 'ホットスワップソケット (silk_socket)', 'dbEditorSocketInput', 'S1']
+    ];
+    fields.forEach(([field, label, id, placeholder], i) => {
+        const row = document.createElement('label');
+        row.className = 'db-editor-field';
+        row.textContent = label;
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.id = id;
+        input.placeholder = placeholder;
+        input.value = entry[field] || '';
+        input.addEventListener('input', () => {
+            entry[field] = input.value.trim();
+            saveDbDraft();
+            draw();
+        });
+        // Enter moves on: switch -> diode -> socket -> the next key in layout order
+        input.addEventListener('keydown', (e) => {
+            if (e.key !== 'Enter') return;
+            if (i < fields.length - 1) {
+                document.getElementById(fields[i + 1][2]).focus();
+            } else {
+                const next = parsedData.matrixMap.findIndex((mm, i) => mm && i > dbEditor.keyIndex);
+                if (next !== -1) selectEditorKey(next);
+            }
+        });
+        row.appendChild(input);
+        panel.appendChild(row);
+    });
+}
+
+function renderDbEditorPins() {
+    const table = document.getElementById('dbEditorPins');
+    table.innerHTML = '<thead><tr><th>シールド</th><th>ピン</th><th>シルク</th><th>ヘッダのピン</th><th>Line Diode</th><th>Interrupt Diode</th></tr></thead>';
+    const body = document.createElement('tbody');
+    Object.keys(parsedData.pinMap).forEach(side => configPinNames(parsedData.pinMap[side]).forEach((role, pin) => {
+        const entry = parsedData.database.pins[`${side}_${pin}`];
+        const tr = document.createElement('tr');
+        [side, role === 'interrupt' ? `${pin} (Interrupt)` : pin].forEach(text => {
+            const td = document.createElement('td');
+            td.textContent = text;
+            tr.appendChild(td);
+        });
+        ['silk', 'header', 'line_diode', 'interrupt_diode'].forEach(field => tr.appendChild(dbEditorCell(entry, field)));
+        body.appendChild(tr);
+    }));
+    table.appendChild(body);
+}
+
+function renderDbEditorShields() {
+    const table = document.getElementById('dbEditorShields');
+    table.innerHTML = '<thead><tr><th>シールド</th><th>マイコンのソケット</th><th>共通 GND</th><th>TRRS / JST</th><th>バッテリー</th><th>電源スイッチ</th></tr></thead>';
+    const body = document.createElement('tbody');
+    Object.keys(parsedData.pinMap).forEach(side => {
+        const tr = document.createElement('tr');
+        const td = document.createElement('td');
+        td.textContent = side;
+        tr.appendChild(td);
+        DATABASE_SHIELD_FIELDS.forEach(field => tr.appendChild(dbEditorCell(parsedData.database.shields[side], field)));
+        body.appendChild(tr);
+    });
+    table.appendChild(body);
+}
+
+// Table cell editing entry[field]
+function dbEditorCell(entry, field) {
+    const td = document.createElement('td');
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.value = entry[field] || '';
+    input.addEventListener('input', () => {
+        entry[field] = input.value.trim();
+        saveDbDraft();
+    });
+    td.appendChild(input);
+    return td;
+}
+
+function initDbEditor() {
+    document.getElementById('dbEditBtn').addEventListener('click', toggleDbEditor);
+    document.getElementById('dbNumberSwBtn').addEventListener('click', () => numberKeysInLayoutOrder('silk_sw', 'SW'));
+    document.getElementById('dbNumberDiodeBtn').addEventListener('click', () => numberKeysInLayoutOrder('silk_d', 'D'));
+    document.getElementById('dbEditorDiagnoseBtn').addEventListener('click', diagnose);
+    document.getElementById('dbExportBtn').addEventListener('click', () => saveJsonFile(JSON.stringify(parsedData.database, null, 2), 'matrix-diagnoser-database.json'));
+    document.getElementById('dbDiscardBtn').addEventListener('click', discardDbDraft);
+}
+
+// --- KiCad Import ---
+// A KiCad netlist (.net) or a single-sheet schematic (.kicad_sch) tells which switch and diode sit between
+// which MCU pins. Both are reduced to { components: Map(ref -> { ref, value, lib }), nets: [{ name, nodes }] }
+// with nodes { ref, pin, pinfunction }, and matched against pinMap / matrixMap to fill in the database.
+
+// S-expressions: a list becomes an array whose first item is its name, an atom or "string" a string
+function parseSExpression(text) {
+    const stack = [[]];
+    const re = /\s*(?:(\()|(\))|"((?:[^"\\]|\\.)*)"|([^\s()"]+))/y;
+    let match;
+    while (re.lastIndex < text.length && (match = re.exec(text))) {
+        if (match[1]) {
+            stack.push([]);
+        } else if (match[2]) {
+            if (stack.length < 2) throw new Error('Unbalanced )');
+            const list = stack.pop();
+            stack[stack.length - 1].push(list);
+        } else if (match[3] !== undefined) {
+            stack[stack.length - 1].push(match[3].replace(/\\(.)/g, (_, ch) => (ch === 'n' ? '\n' : ch)));
+        } else if (match[4] !== undefined) {
+            stack[stack.length - 1].push(match[4]);
+        }
+    }
+    if (stack.length !== 1) throw new Error('Unbalanced (');
+    return stack[0][0];
+}
+
+function sexpChildren(node, name) {
+    return Array.isArray(node) ? node.filter(c => Array.isArray(c) && c[0] === name) : [];
+}
+
+function sexpChild(node, name) {
+    return sexpChildren(node, name)[0] || null;
+}
+
+// First value of the child list `name`: (ref "SW1") -> "SW1"
+function sexpValue(node, name) {
+    const child = sexpChild(node, name);
+    return child && child.length > 1 && !Array.isArray(child[1]) ? child[1] : null;
+}
+
+function parseKicadFile(text) {
+    const root = parseSExpression(text);
+    if (root && root[0] === 'export') return parseKicadNetlist(root);
+    if (root && root[0] === 'kicad_sch') return parseKicadSchematic(root);
+    throw new Error('KiCad のネットリスト (.net) または回路図 (.kicad_sch) ではありません');
+}
+
+function parseKicadNetlist(root) {
+    const components = new Map();
+    sexpChildren(sexpChild(root, 'components'), 'comp').forEach(comp => {
+        const ref = sexpValue(comp, 'ref');
+        const libsource = sexpChild(comp, 'libsource');
+        if (ref) components.set(ref, { ref, value: sexpValue(comp, 'value') || '', lib: (libsource && sexpValue(libsource, 'part')) || '' });
+    });
+    const nets = sexpChildren(sexpChild(root, 'nets'), 'net').map(net => ({
+        name: sexpValue(net, 'name') || '',
+        nodes: sexpChildren(net, 'node').map(node => ({
+            ref: sexpValue(node, 'ref'),
+            pin: sexpValue(node, 'pin'),
+            pinfunction: sexpValue(node, 'pinfunction') || ''
+        }))
+    }));
+    return { components, nets, warnings: [] };
+}
+
+// Connectivity of a schematic sheet from its geometry: wire ends, pins and labels on the same point are
+// joined, as is anything touching the middle of a wire; labels and power symbols join by name. Sub-sheets
+// are separate files and are not followed.
+function parseKicadSchematic(root) {
+    const warnings = [];
+    if (sexpChildren(root, 'sheet').length > 0) {
+        warnings.push('階層シートは読み込めません。全体を含むネットリスト (.net) を使用してください。');
+    }
+    const point = (node) => {
+        const at = sexpChild(node, 'at') || node;
+        return [parseFloat(at[1]), parseFloat(at[2])];
+    };
+    const keyOf = ([x, y]) => `${Math.round(x * 100)},${Math.round(y * 100)}`;
+
+    const parent = new Map();
+    const find = (k) => {
+        while (parent.get(k) !== k) {
+            parent.set(k, parent.get(parent.get(k)));
+            k = parent.get(k);
+        }
+        return k;
+    };
+    const add = (k) => {
+        if (!parent.has(k)) parent.set(k, k);
+        return k;
+    };
+    const union = (a, b) => parent.set(find(add(a)), find(add(b)));
+
+    const wires = sexpChildren(root, 'wire').map(w => sexpChildren(sexpChild(w, 'pts'), 'xy').map(point));
+    wires.forEach(([a, b]) => union(keyOf(a), keyOf(b)));
+
+    // Pin positions: lib coordinates are y-up; the symbol is rotated, then mirrored, on the y-down sheet
+    const libSymbols = new Map(sexpChildren(sexpChild(root, 'lib_symbols'), 'symbol').map(s => [s[1], s]));
+    const components = new Map();
+    const pinPoints = []; // { key, ref, pin, pinfunction }
+    const names = []; // { key, name }: labels and power symbols
+    sexpChildren(root, 'symbol').forEach(sym => {
+        const lib = libSymbols.get(sexpValue(sym, 'lib_id'));
+        const property = (name) => {
+            const p = sexpChildren(sym, 'property').find(prop => prop[1] === name);
+            return p ? p[2] : '';
+        };
+        const ref = property('Reference');
+        if (!lib || !ref) return;
+        const unit = parseInt(sexpValue(sym, 'unit') || '1');
+        const [sx, sy] = point(sym);
+        const at = sexpChild(sym, 'at');
+        const angle = (parseFloat(at[3]) || 0) * Math.PI / 180;
+        const mirror = sexpValue(sym, 'mirror');
+        const place = ([px, py]) => {
+            const [x, y] = [px, -py];
+            let rx = x * Math.cos(angle) + y * Math.sin(angle);
+            let ry = -x * Math.sin(angle) + y * Math.cos(angle);
+            if (mirror === 'x') ry = -ry;
+            if (mirror === 'y') rx = -rx;
+            return [sx + rx, sy + ry];
+        };
+        const isPower = !!sexpChild(lib, 'power');
+
+        // Units are sub-symbols named <name>_<unit>_<style>; unit 0 is shared by all units
+        const pins = [lib, ...sexpChildren(lib, 'symbol')].filter(s => {
+            const m = /_(\d+)_\d+$/.exec(s[1]);
+            return s === lib || !m || +m[1] === 0 || +m[1] === unit;
+        }).flatMap(s => sexpChildren(s, 'pin'));
+        pins.forEach(pin => {
+            const key = add(keyOf(place(point(pin))));
+            if (isPower) {
+                names.push({ key, name: property('Value') });
+            } else {
+                pinPoints.push({ key, ref, pin: sexpValue(pin, 'number') || '', pinfunction: sexpValue(pin, 'name') || '' });
+            }
+        });
+        if (!isPower && !ref.startsWith('#')) components.set(ref, { ref, value: property('Value'), lib: sexpValue(sym, 'lib_id') || '' });
+    });
+    ['label', 'global_label', 'hierarchical_label'].forEach(type => sexpChildren(root, type).forEach(label => {
+        names.push({ key: add(keyOf(point(label))), name: label[1] });
+    }));
+    sexpChildren(root, 'junction').forEach(j => add(keyOf(point(j))));
+
+    // Points on the middle of a wire belong to it
+    const onSegment = ([x, y], [a, b]) => {
+        const cross = (b[0] - a[0]) * (y - a[1]) - (b[1] - a[1]) * (x - a[0]);
+        if (Math.abs(cross) > 0.01) return false;
+        return x >= Math.min(a[0], b[0]) - 0.005 && x <= Math.max(a[0], b[0]) + 0.005 &&
+            y >= Math.min(a[1], b[1]) - 0.005 && y <= Math.max(a[1], b[1]) + 0.005;
+    };
+    Array.from(parent.keys()).forEach(k => {
+        const p = k.split(',').map(v => parseInt(v) / 100);
+        wires.forEach(w => {
+            if (onSegment(p, w)) union(k, keyOf(w[0]));
+        });
+    });
+    const byName = new Map();
+    names.forEach(({ key, name }) => {
+        if (byName.has(name)) union(key, byName.get(name));
+        else byName.set(name, key);
+    });
+
+    const groups = new Map();
+    const group = (k) => {
+        const r = find(k);
+        if (!groups.has(r)) groups.set(r, { name: '', nodes: [] });
+        return groups.get(r);
+    };
+    names.forEach(({ key, name }) => {
+        const g = group(key);
+        if (!g.name) g.name = name;
+    });
+    pinPoints.forEach(({ key, ref, pin, pinfunction }) => group(key).nodes.push({ ref, pin, pinfunction }));
+    const nets = Array.from(groups.values()).filter(g => g.nodes.length > 0);
+    nets.forEach(net => {
+        if (!net.name) net.name = `Net-(${net.nodes[0].ref}-Pad${net.nodes[0].pin})`;
+    });
+    return { components, nets, warnings };
+}
+
+// Whether a KiCad pin name (pinfunction such as "D0/A0" or "P0.02", or a net name) is the ZMK pin
+// "xiao_d 0", "pro_micro 4" or "gpio0 16"
+function mcuPinMatches(pin, label) {
+    const spec = /^(\w+?)\s+(\d+)$/.exec(pin);
+    if (!spec || !label) return false;
+    const n = parseInt(spec[2]);
+    const port = /^gpio(\d+)$/.exec(spec[1]);
+    return label.replace(/^.*\//, '').split(/[\s,]+/).concat(label.split(/[\/\s,]+/))
+        .flatMap(t => [t, ...t.split('_')])
+        .some(token => {
+            const t = token.toUpperCase();
+            if (spec[1] === 'xiao_d') return t === `D${n}` || (n <= 5 && t === `A${n}`);
+            if (spec[1] === 'pro_micro') return t === `D${n}` || t === `${n}`;
+            if (port) {
+                const p = /^P(\d+)\.(\d+)$/.exec(t);
+                return (p && +p[1] === +port[1] && +p[2] === n) || (+port[1] === 0 && t === `GPIO${n}`);
+            }
+            return false;
+        });
+}
+
+// Net names KiCad makes up for unnamed nets
+function isAutoNetName(name) {
+    return !name || /^(Net-\(|unconnected-|\/?N\$)/.test(name);
+}
+
+// Fills in a database from a parsed netlist. Keys are found by the switch and the diode that share a net
+// and touch the key's two pin nets (direct keys: a switch between its pin and GND). Returns
+// { database, unmatched: [message] }.
+function buildDatabaseFromNetlist({ components, nets, warnings }) {
+    const netOf = new Map(); // "ref:pin" -> net
+    const refNets = new Map(); // ref -> Set of net names
+    const netRefs = new Map(); // net name -> Set of refs
+    nets.forEach(net => net.nodes.forEach(node => {
+        netOf.set(`${node.ref}:${node.pin}`, net);
+        if (!refNets.has(node.ref)) refNets.set(node.ref, new Set());
+        refNets.get(node.ref).add(net.name);
+        if (!netRefs.has(net.name)) netRefs.set(net.name, new Set());
+        netRefs.get(net.name).add(node.ref);
+    }));
+    const describe = (ref) => {
+        const c = components.get(ref);
+        return c ? `${c.ref} ${c.value} ${c.lib}` : ref;
+    };
+    const isDiode = (ref) => /^D/i.test(ref) || /diode|^D_|:D(_|$)/i.test(describe(ref));
+    const isSwitch = (ref) => !isDiode(ref) && (/^(SW|S|K|KEY|MX)\d/i.test(ref) || /switch|SW_|hotswap|choc|kailh|cherry/i.test(describe(ref)));
+
+    const unmatched = [...warnings];
+    const validShields = getValidShields();
+    const units = validShields.flatMap(getKscanUnits);
+    // Lines driven by a 74HC595 have no MCU pin to match, so they are left to be filled in by hand
+    const pinNames = new Set();
+    units.forEach(u => {
+        ['row', 'col', 'gpios', 'direct', 'demux'].forEach(line => Object.values(u.pins[line] || {}).forEach(p => {
+            const out = shiftRegisterOutput(u.pins, p);
+            if (out) unmatched.push(`ピン ${p}: ${out.info.ref} (74HC595) の Q${String.fromCharCode(65 + out.q)} から駆動される線は照合に対応していません`);
+            else pinNames.add(p);
+        }));
+        if (u.pins.interrupt) pinNames.add(u.pins.interrupt);
+    });
+
+    // The MCU is the part whose pin names match the most ZMK pins; a pin it doesn't name falls back to
+    // a net named after the pin
+    const score = new Map();
+    nets.forEach(net => net.nodes.forEach(node => {
+        if ([...pinNames].some(p => mcuPinMatches(p, node.pinfunction))) score.set(node.ref, (score.get(node.ref) || 0) + 1);
+    }));
+    const mcu = [...score.entries()].sort((a, b) => b[1] - a[1])[0]?.[0];
+    const pinNet = new Map(); // ZMK pin -> { net, label }
+    pinNames.forEach(pin => {
+        const node = mcu && nets.flatMap(net => net.nodes).find(n => n.ref === mcu && mcuPinMatches(pin, n.pinfunction));
+        if (node) {
+            pinNet.set(pin, { net: netOf.get(`${node.ref}:${node.pin}`), label: node.pinfunction });
+            return;
+        }
+        const net = nets.find(n => !isAutoNetName(n.name) && mcuPinMatches(pin, n.name));
+        if (net) pinNet.set(pin, { net, label: net.name.replace(/^.*\//, '') });
+        else unmatched.push(`ピン ${pin}: ${mcu ? `${mcu} の` : ''}対応する端子・ネットが見つかりません`);
+    });
+
+    const database = { version: DATABASE_VERSION, pins: {}, keys: [], shields: {} };
+    const keyDiodes = new Set();
+
+    // Keys
+    parsedData.matrixMap.forEach(m => {
+        if (!m) return;
+        const pos = locateMatrixPosition(m, validShields);
+        const unit = locateKscanUnit(units, pos);
+        const label = `RC(${m.r},${m.c})`;
+        const entry = { matrix: [m.r, m.c], silk_sw: '', silk_d: '' };
+        database.keys.push(entry);
+        if (!unit || !hasFaultModel(unit)) {
+            unmatched.push(`${label}: この配線方式の照合には対応していません`);
+            return;
+        }
+        const physR = pos.physR - unit.rowOffset;
+        const physC = pos.physC - unit.colOffset;
+        const netName = (pin) => pinNet.get(pin)?.net.name;
+        const refsOn = (name) => [...(netRefs.get(name) || [])];
+
+        let found = [];
+        if (unit.mode === 'direct') {
+            const net = netName(unit.pins.direct[physC]);
+            found = refsOn(net).filter(ref => isSwitch(ref) && [...refNets.get(ref)].some(n => /GND/i.test(n)))
+                .map(sw => ({ sw, d: '' }));
+        } else {
+            const lines = unit.mode === 'charlieplex'
+                ? [unit.pins.gpios[physC], unit.pins.gpios[physR]]
+                : [unit.pins.col[physC], unit.pins.row[physR]];
+            const [a, b] = lines.map(netName);
+            if (a && b) {
+                [[a, b], [b, a]].forEach(([swNet, dNet]) => refsOn(swNet).filter(isSwitch).forEach(sw => {
+                    refsOn(dNet).filter(isDiode).forEach(d => {
+                        const shared = [...refNets.get(sw)].filter(n => n !== a && n !== b && refNets.get(d).has(n));
+                        if (shared.length > 0) found.push({ sw, d });
+                    });
+                }));
+            }
+        }
+        if (found.length === 1) {
+            entry.silk_sw = found[0].sw;
+            entry.silk_d = found[0].d;
+            keyDiodes.add(found[0].d);
+        } else if (found.length > 1) {
+            unmatched.push(`${label}: 候補が複数あります (${found.map(f => [f.sw, f.d].filter(Boolean).join('/')).join(', ')})`);
+        } else {
+            unmatched.push(`${label}: ピンのネットをつなぐスイッチとダイオードが見つかりません`);
+        }
+    });
+
+    // Pins; a charlieplex pin's interrupt diode joins it to the interrupt net, its line diode is the other
+    // diode on its net
+    validShields.forEach(side => getKscanUnits(side).forEach(unit => {
+        const interruptNet = unit.pins.interrupt && pinNet.get(unit.pins.interrupt)?.net.name;
+        const entryFor = (pin) => {
+            const found = pinNet.get(pin);
+            const name = found && !isAutoNetName(found.net.name) ? found.net.name.replace(/^.*\//, '') : found?.label;
+            return { silk: name || '' };
+        };
+        ['row', 'col', 'gpios', 'direct', 'demux'].forEach(line => Object.values(unit.pins[line] || {}).forEach(pin => {
+            const entry = { ...entryFor(pin), line_diode: '', interrupt_diode: '' };
+            const net = pinNet.get(pin)?.net.name;
+            if (unit.mode === 'charlieplex' && net) {
+                const diodes = [...(netRefs.get(net) || [])].filter(ref => isDiode(ref) && !keyDiodes.has(ref));
+                const interrupt = diodes.filter(d => interruptNet && refNets.get(d).has(interruptNet));
+                const others = diodes.filter(d => !interrupt.includes(d));
+                if (interrupt.length === 1) entry.interrupt_diode = interrupt[0];
+                if (others.length === 1) entry.line_diode = others[0];
+                if (interruptNet && interrupt.length !== 1) unmatched.push(`ピン ${pin} (${side}): Interrupt Diode を特定できません`);
+                if (others.length > 1) unmatched.push(`ピン ${pin} (${side}): Line Diode の候補が複数あります (${others.join(', ')})`);
+            }
+            database.pins[`${side}_${pin}`] = entry;
+        }));
+        if (unit.pins.interrupt) database.pins[`${side}_${unit.pins.interrupt}`] = { ...entryFor(unit.pins.interrupt), description: '' };
+    }));
+
+    return { database, unmatched: [...new Set(unmatched)] };
+}
+
+// Footprints and board outline of a .kicad_pcb, in mm: { footprints: [{ ref, x, y, angle, back, box, pads }],
+// outline: [{ type, ... }] }. Pad positions are relative to their footprint before its rotation; a footprint
+// on the back already has them mirrored, so only the rotation is applied when drawing.
+function parseKicadPcb(text) {
+    const root = parseSExpression(text);
+    if (!root || root[0] !== 'kicad_pcb') throw new Error('KiCad の基板ファイル (.kicad_pcb) ではありません');
+    const xy = (node) => (node ? [parseFloat(node[1]), parseFloat(node[2])] : null);
+
+    const footprints = [...sexpChildren(root, 'footprint'), ...sexpChildren(root, 'module')].map(fp => {
+        const at = sexpChild(fp, 'at');
+        const angle = parseFloat(at[3]) || 0;
+        const refProp = sexpChildren(fp, 'property').find(p => p[1] === 'Reference');
+        const refText = sexpChildren(fp, 'fp_text').find(t => t[1] === 'reference');
+        const pads = sexpChildren(fp, 'pad').map(pad => {
+            const [px, py] = xy(sexpChild(pad, 'at'));
+            const [w, h] = xy(sexpChild(pad, 'size')) || [0, 0];
+            // Pad angles in the file include the footprint's; a quarter turn swaps the pad's extents
+            const turned = Math.round(((parseFloat(sexpChild(pad, 'at')[3]) || 0) - angle) / 90) % 2 !== 0;
+            const net = sexpChild(pad, 'net');
+            return { x: px, y: py, w: turned ? h : w, h: turned ? w : h, net: net ? String(net[2] || '').replace(/^.*\//, '') : '' };
+        });
+        const box = pads.length > 0
+            ? pads.reduce((b, p) => [Math.min(b[0], p.x - p.w / 2), Math.min(b[1], p.y - p.h / 2), Math.max(b[2], p.x + p.w / 2), Math.max(b[3], p.y + p.h / 2)],
+                [Infinity, Infinity, -Infinity, -Infinity])
+            : [-1, -1, 1, 1];
+        return {
+            ref: (refProp && refProp[2]) || (refText && refText[2]) || '',
+            x: parseFloat(at[1]),
+            y: parseFloat(at[2]),
+            angle,
+            back: /^B\./.test(sexpValue(fp, 'layer') || ''),
+            box,
+            pads
+        };
+    });
+
+    const outline = [];
+    ['gr_line', 'gr_arc', 'gr_circle', 'gr_rect', 'gr_poly'].forEach(type => sexpChildren(root, type).forEach(shape => {
+        if (sexpValue(shape, 'layer') !== 'Edge.Cuts') return;
+        const start = xy(sexpChild(shape, 'start'));
+        const end = xy(sexpChild(shape, 'end'));
+        if (type === 'gr_line') {
+            outline.push({ type: 'line', points: [start, end] });
+        } else if (type === 'gr_rect') {
+            outline.push({ type: 'line', points: [start, [end[0], start[1]], end, [start[0], end[1]], start] });
+        } else if (type === 'gr_circle') {
+            const center = start || xy(sexpChild(shape, 'center'));
+            outline.push({ type: 'circle', center, radius: Math.hypot(end[0] - center[0], end[1] - center[1]) });
+        } else if (type === 'gr_poly') {
+            const points = sexpChildren(sexpChild(shape, 'pts'), 'xy').map(xy);
+            outline.push({ type: 'line', points: [...points, points[0]] });
+        } else if (sexpChild(shape, 'mid')) {
+            outline.push({ type: 'arc', points: [start, xy(sexpChild(shape, 'mid')), end] });
+        } else {
+            // KiCad 5 arcs: start is the center, end the first point, angle the sweep in degrees
+            const sweep = (parseFloat(sexpValue(shape, 'angle')) || 0) * Math.PI / 180;
+            const rotate = (a) => [start[0] + (end[0] - start[0]) * Math.cos(a) - (end[1] - start[1]) * Math.sin(a),
+                start[1] + (end[0] - start[0]) * Math.sin(a) + (end[1] - start[1]) * Math.cos(a)];
+            outline.push({ type: 'arc', points: [end, rotate(sweep / 2), rotate(sweep)] });
+        }
+    }));
+
+    return { footprints, outline };
+}
+
+// Values already in the loaded database win over generated ones; keys the netlist has no entry for are kept
+function mergeDatabase(existing, generated) {
+    if (!existing) return generated;
+    const merged = { ...existing, pins: { ...generated.pins }, keys: [] };
+    Object.entries(existing.pins || {}).forEach(([key, pin]) => {
+        merged.pins[key] = { ...merged.pins[key] };
+        Object.entries(pin).forEach(([field, value]) => {
+            if (value) merged.pins[key][field] = value;
+        });
+    });
+    merged.keys = generated.keys.map(key => {
+        const old = (existing.keys || []).find(k => k.matrix[0] === key.matrix[0] && k.matrix[1] === key.matrix[1]);
+        return old ? { ...key, ...Object.fromEntries(Object.entries(old).filter(([, v]) => v)) } : key;
+    });
+    (existing.keys || []).forEach(key => {
+        if (!generated.keys.some(k => k.matrix[0] === key.matrix[0] && k.matrix[1] === key.matrix[1])) merged.keys.push(key);
+    });
+    return merged;
+}
+
+async function handleKicadImport(e) {
+    const file = e.target.files[0];
+    if (!file) return;
+    e.target.value = '';
+
+    try {
+        const { database, unmatched } = buildDatabaseFromNetlist(parseKicadFile(await file.text()));
+        parsedData.database = mergeDatabase(parsedData.database, database);
+        loadedConfig.database = parsedData.database;
+        refreshDbEditor();
+        renderKicadReport(file.name, database, unmatched);
+        setStatus(`${file.name} からデータベースを作成しました`, "success");
+        if (!document.getElementById('resultArea').classList.contains('hidden')) {
+            diagnose();
+        }
+    } catch (err) {
+        console.error("KiCad import failed:", err);
+        setStatus(`KiCad ファイルの読み込みに失敗しました: ${err.message}`, "error");
+    }
+}
+
+function renderKicadReport(fileName, database, unmatched) {
+    const report = document.getElementById('kicadReport');
+    report.innerHTML = '';
+    report.classList.remove('hidden');
+
+    const keys = database.keys.filter(k => k.silk_sw).length;
+    const pins = Object.values(database.pins).filter(p => p.silk).length;
+    const summary = document.createElement('p');
+    summary.innerHTML = `<strong>${escapeHtml(fileName)}</strong>: キー ${keys} / ${database.keys.length} 個、ピン ${pins} / ${Object.keys(database.pins).length} 本を照合しました。`;
+    report.appendChild(summary);
+
+    if (unmatched.length > 0) {
+        const note = document.createElement('p');
+        note.textContent = '次の項目は照合できませんでした。ダウンロードした JSON で確認・記入してください。';
+        report.appendChild(note);
+        const list = document.createElement('ul');
+        unmatched.forEach(text => {
+            const li = document.createElement('li');
+            li.textContent = text;
+            list.appendChild(li);
+        });
+        report.appendChild(list);
+    }
+
+    const btn = document.createElement('button');
+    btn.className = 'btn btn-secondary';
+    btn.textContent = '作成したデータベースをダウンロード';
+    btn.addEventListener('click', () => saveJsonFile(JSON.stringify(parsedData.database, null, 2), 'matrix-diagnoser-database.json'));
+    report.appendChild(btn);
+}
+
+
+function hasPinDefinitions(p) {
+    return (p.row && Object.keys(p.row).length > 0) || 
+           (p.col && Object.keys(p.col).length > 0) || 
+           (p.gpios && Object.keys(p.gpios).length > 0) ||
+           (p.direct && Object.keys(p.direct).length > 0);
+}
+
+// Shields that have pin definitions
+function getValidShields() {
+    return Object.keys(parsedData.pinMap).filter(s => {
+        const p = parsedData.pinMap[s];
+        return hasPinDefinitions(p) || (p.units && p.units.some(u => hasPinDefinitions(u.pins)));
+    });
+}
+
+// kscan units of a side: each child of a kscan-composite (own wiring mode, offsets and size),
+// or the side's single kscan covering the whole side
+function getKscanUnits(side) {
+    const pinMap = parsedData.pinMap[side];
+    if (!pinMap.units) {
+        return [{
+            id: side,
+            side,
+            ref: undefined,
+            mode: kscanMode(pinMap),
+            diodeDirection: parsedData.diodeDirection,
+            pins: pinMap,
+            rowOffset: 0,
+            colOffset: 0,
+            rows: Infinity,
+            cols: Infinity
+        }];
+    }
+    return pinMap.units.filter(u => hasPinDefinitions(u.pins)).map(u => ({
+        id: `${side}/${u.ref}`,
+        side,
+        ref: u.ref,
+        mode: u.mode,
+        diodeDirection: u.diodeDirection,
+        pins: u.pins,
+        rowOffset: u.rowOffset,
+        colOffset: u.colOffset,
+        rows: u.rows,
+        cols: u.cols
+    }));
+}
+
+function kscanMode(pins) {
+    if (pins.gpios) return 'charlieplex';
+    if (pins.direct) return 'direct';
+    if (pins.demux) return 'demux';
+    return 'matrix';
+}
+
+// col2row: columns are driven (outputs) and rows sensed (inputs); current flows column -> diode -> row,
+// so the diode's cathode (band) faces the row. row2col is the reverse.
+function describeMatrixLines(diodeDirection) {
+    const colToRow = diodeDirection !== 'row2col';
+    return {
+        drive: colToRow ? 'col' : 'row',
+        sense: colToRow ? 'row' : 'col',
+        cathodeSide: colToRow ? '行 (Row)' : '列 (Column)'
+    };
+}
+
+// The unit of pos.side whose rows/columns contain the position; the largest offsets win, as for sides
+function locateKscanUnit(units, pos) {
+    let best = null;
+    units.forEach(u => {
+        if (u.side !== pos.side) return;
+        if (pos.physR < u.rowOffset || pos.physR >= u.rowOffset + u.rows) return;
+        if (pos.physC < u.colOffset || pos.physC >= u.colOffset + u.cols) return;
+        if (!best || u.rowOffset + u.colOffset > best.rowOffset + best.colOffset) best = u;
+    });
+    return best;
+}
+
+// Determines which shield a transform entry belongs to and its local physical coordinates
+function locateMatrixPosition(m, validShields) {
+    if (!m) return { side: validShields[0] || 'common', physC: 0, physR: 0 };
+    let bestShield = validShields[0];
+    let maxMatchScore = -1;
+    let physC = m.c;
+    let physR = m.r;
+
+    validShields.forEach(s => {
+        const offsetC = parsedData.pinMap[s].colOffset || 0;
+        const offsetR = parsedData.pinMap[s].rowOffset || 0;
+        
+        // Check if coordinates are within range (>= offset)
+        if (m.c >= offsetC && m.r >= offsetR) {
+            // The "best match" is the one with the largest offset that still contains the target
+            // This correctly handles split configurations where right side starts at some offset
+            const score = offsetC + offsetR;
+            if (score > maxMatchScore) {
+                maxMatchScore = score;
+                bestShield = s;
+                physC = m.c - offsetC;
+                physR = m.r - offsetR;
             }
         }
-
-        li.innerHTML = `<strong>${title}</strong><p>${desc}</p>`;
-        ul.appendChild(li);
     });
 
-    initCanvas(); // Redraw with colors
-    resultContent.appendChild(ul);
+    return { side: bestShield, physC, physR };
 }
 
+// "shifter 11" on a zmk,gpio-595 controller -> { name, info, output: 11, chip: 1, q: 3 } (8 outputs per chip)
+function shiftRegisterOutput(pMap, pin) {
+    if (!pMap.shifters || typeof pin !== 'string') return null;
+    const match = /^(\S+)\s+(\d+)$/.exec(pin);
+    if (!match || !pMap.shifters[match[1]]) return null;
+    const output = parseInt(match[2]);
+    return { name: match[1], info: pMap.shifters[match[1]], output, chip: Math.floor(output / 8), q: output % 8 };
+}
 
+// Row / col items of a unit whose line is a 74HC595 output become 'shifter_line': the register,
+// not an MCU pin, drives it. When every used output from some chip of a daisy chain onwards is dead,
+// that chip (or what feeds it: SPI lines, the previous chip's QH') is reported as one 'shifter_chip'.
+function regroupShiftRegisterLines(unit, report, start) {
+    const pMap = unit.pins;
+    const lineItems = report.slice(start).filter(f => f.type === 'row' || f.type === 'col');
+    lineItems.forEach(f => {
+        const out = shiftRegisterOutput(pMap, f.pin);
+        if (!out) return;
+        f.line = f.type;
+        f.type = 'shifter_line';
+        f.shifter = out.info;
+        f.output = out.output;
+        f.chip = out.chip;
+        f.q = out.q;
+    });
 
-function getPinInfo(side, rawPinName) {
-    // 1. Try shield-specific key (e.g. "corne_left_10")
-    const specificKey = `${side}_${rawPinName}`;
-    if (parsedData.database && parsedData.database.pins && parsedData.database.pins[specificKey]) {
-        return parsedData.database.pins[specificKey];
-    }
-    
-    // 2. Try legacy Left/Right prefix for compatibility
-    const isLeft = side.toLowerCase().includes('left') || side === 'left';
-    const legacyKey = `${isLeft ? 'Left' : 'Right'}_${rawPinName}`;
-    if (parsedData.database && parsedData.database.pins && parsedData.database.pins[legacyKey]) {
-        return parsedData.database.pins[legacyKey];
-    }
+    Object.keys(pMap.shifters).forEach(name => {
+        const used = [...Object.values(pMap.row || {}), ...Object.values(pMap.col || {})]
+            .map(pin => shiftRegisterOutput(pMap, pin))
+            .filter(out => out && out.name === name);
+        const dead = report.filter(f => f.type === 'shifter_line' && f.shifter === pMap.shifters[name] && f.unit === unit.ref);
+        const deadOutputs = new Set(dead.map(f => f.output));
+
+        const chips = [...new Set(used.map(out => out.chip))].sort((a, b) => a - b);
+        const firstDeadChip = chips.find(chip => {
+            const downstream = used.filter(out => out.chip >= chip);
+            return downstream.length >= 2 && downstream.every(out => deadOutputs.has(out.output));
+        });
+        if (firstDeadChip === undefined) return;
+
+        const merged = dead.filter(f => f.chip >= firstDeadChip);
+        merged.forEach(f => report.splice(report.indexOf(f), 1));
+        report.push({
+            type: 'shifter_chip',
+            side: unit.side,
+            unit: unit.ref,
+            shifter: pMap.shifters[name],
+            chip: firstDeadChip,
+            chainLength: Math.max(...chips) + 1,
+            indices: [...new Set(merged.flatMap(f => f.indices))]
+        });
+    });
+}
+
+// Demux columns: column c is driven when the address lines spell c in binary. A dead address line
+// kills every column with that bit set (stuck low) or cleared (stuck high); all columns dead points
+// at the demux chip. Whatever is left is a single demux output.
+function analyzeDemuxColumns(unit, colGroups, colCounts, report, coveredIndices) {
+    const pMap = unit.pins;
+    const addressPins = pMap.demux;
+    const bits = Object.keys(addressPins).length;
+    const usedCols = Object.keys(colCounts).map(Number).filter(c => colCounts[c] > 0);
+    const failing = new Set(usedCols.filter(c => (colGroups[c] || []).length / colCounts[c] > 0.6));
+    if (failing.size === 0) return;
+
+    const indicesOf = (cols) => [...new Set(cols.flatMap(c => colGroups[c] || []))];
+    const push = (item, cols) => {
+        const indices = indicesOf(cols);
+        report.push({ side: unit.side, unit: unit.ref, ...item, indices });
+        indices.forEach(idx => coveredIndices.add(idx));
+    };
 
-    // 3. Try raw pin name
-    if (parsedData.database && parsedData.database.pins && parsedData.database.pins[rawPinName]) {
-        return parsedData.database.pins[rawPinName];
+    if (usedCols.length > 1 && usedCols.every(c => failing.has(c))) {
+        push({ type: 'demux_chip', pins: addressPins }, usedCols);
+        return;
     }
-    
-    return { silk: rawPinName, line_diode: null, interrupt_diode: null };
-}
 
-function getKeyInfo(r, c) {
-    if (parsedData.database && parsedData.database.keys) {
-        // Find key with matching matrix [r, c]
-        // Note: JSON arrays are objects, strict comparison might fail if not careful, but values are primitive nums
-        const found = parsedData.database.keys.find(k => k.matrix[0] === r && k.matrix[1] === c);
-        return found;
+    const explained = new Set();
+    for (let bit = 0; bit < bits; bit++) {
+        const ones = usedCols.filter(c => c & (1 << bit));
+        const zeros = usedCols.filter(c => !(c & (1 << bit)));
+        const onesDead = ones.length > 0 && ones.every(c => failing.has(c));
+        const zerosDead = zeros.length > 0 && zeros.every(c => failing.has(c));
+        if (onesDead === zerosDead) continue;
+        const deadCols = onesDead ? ones : zeros;
+        push({ type: 'demux_line', bit, pin: addressPins[bit], stuck: onesDead ? 'low' : 'high', cols: deadCols }, deadCols);
+        deadCols.forEach(c => explained.add(c));
     }
-    return null;
+
+    failing.forEach(c => {
+        if (explained.has(c)) return;
+        push({ type: 'demux_col', col: c, address: c.toString(2).padStart(bits, '0') }, [c]);
+    });
 }
 
-function generateDatabaseTemplate() {
-    const db = {
-        pins: {},
-        keys: []
-    };
+// Rules for keys tagged with a symptom other than "doesn't respond". A symptom shared by most keys of a
+// row or column of a matrix points at that line; the remaining keys are explained one by one.
+function analyzeSymptoms(units, getSideAndPhysCoords) {
+    const report = [];
 
-    // 1. Populate Pins from pinMap
-    // Iterate all effectively parsed shields
-    Object.keys(parsedData.pinMap).forEach(shieldName => {
-        const pm = parsedData.pinMap[shieldName];
-        if (!pm) return;
+    units.forEach(unit => {
+        const side = unit.id;
+        const pMap = unit.pins;
+        const base = { side: unit.side, unit: unit.ref, mode: unit.mode, diodeDirection: unit.diodeDirection };
 
-        // Key helper
-        const getPinKey = (p) => `${shieldName}_${p}`;
+        const positions = new Map(); // index -> position of the keys of this unit
+        const lineTotals = { row: {}, col: {} };
+        parsedData.matrixMap.forEach((m, idx) => {
+            if (!m) return;
+            const pos = getSideAndPhysCoords(m);
+            if (pos.side !== side) return;
+            positions.set(idx, pos);
+            lineTotals.row[pos.physR] = (lineTotals.row[pos.physR] || 0) + 1;
+            lineTotals.col[pos.physC] = (lineTotals.col[pos.physC] || 0) + 1;
+        });
+        if (positions.size === 0) return;
+
+        const tagged = (symptom) => keysWithSymptom(symptom).filter(idx => positions.has(idx));
+        const linePin = (line, i) => (pMap[line] && pMap[line][i]) || 'Unknown';
+        const keyPins = (pos) => {
+            if (unit.mode === 'direct') return [pMap.direct[pos.physC] || 'Unknown'];
+            if (unit.mode === 'charlieplex') return [pMap.gpios[pos.physR] || 'Unknown', pMap.gpios[pos.physC] || 'Unknown'];
+            return [linePin('row', pos.physR), linePin('col', pos.physC)];
+        };
+        // Pins next to pins[i] in the same gpio list: the likeliest partners of a solder bridge
+        const neighbourPins = (pins, i) => [pins[i - 1], pins[i + 1]].filter(Boolean);
+        const pushKey = (type, idx, extra) => {
+            const m = parsedData.matrixMap[idx];
+            report.push({ ...base, type, r: m.r, c: m.c, index: idx, ...extra, indices: extra.indices || [idx] });
+        };
 
-        // Standard Row/Col
-        if (pm.row) {
-            Object.values(pm.row).forEach(p => {
-                const key = getPinKey(p);
-                if (!db.pins[key]) db.pins[key] = { silk: "", line_diode: "", interrupt_diode: "" };
-            });
-        }
-        if (pm.col) {
-            Object.values(pm.col).forEach(p => {
-                const key = getPinKey(p);
-                if (!db.pins[key]) db.pins[key] = { silk: "", line_diode: "", interrupt_diode: "" };
+        // Rows / columns where more than 60% of the keys show the symptom (plain matrices only).
+        // When a block of keys fills both, the orientation covering more keys explains it.
+        const failingLines = (indices) => {
+            if (unit.mode !== 'matrix' || indices.length < 2) return [];
+            const [rows, cols] = ['row', 'col'].map(line => {
+                const lines = [];
+                const byLine = {};
+                indices.forEach(idx => {
+                    const pos = positions.get(idx);
+                    const i = line === 'row' ? pos.physR : pos.physC;
+                    (byLine[i] = byLine[i] || []).push(idx);
+                });
+                Object.entries(byLine).forEach(([i, members]) => {
+                    if (members.length >= 2 && members.length / lineTotals[line][i] > 0.6) {
+                        lines.push({ line, index: parseInt(i), indices: members });
+                    }
+                });
+                return lines;
             });
-        }
+            const coverOf = (lines) => new Set(lines.flatMap(l => l.indices));
+            const [major, minor] = coverOf(rows).size >= coverOf(cols).size ? [rows, cols] : [cols, rows];
+            const covered = coverOf(major);
+            return [...major, ...minor.filter(l => l.indices.some(idx => !covered.has(idx)))];
+        };
+        const unexplained = (indices, lines) => {
+            const covered = new Set(lines.flatMap(l => l.indices));
+            return indices.filter(idx => !covered.has(idx));
+        };
 
-        // Charlieplex
-        if (pm.gpios) {
-            Object.values(pm.gpios).forEach(p => {
-                const key = getPinKey(p);
-                if (!db.pins[key]) db.pins[key] = { silk: "", line_diode: "", interrupt_diode: "" };
+        // Chattering: a worn switch or a badly soldered socket, key by key
+        tagged('chatter').forEach(idx => pushKey('bad_switch', idx, {}));
+
+        // Stuck: the key's row and column lines touch, or a whole line is tied to the active level
+        const stuck = tagged('stuck');
+        const stuckLines = failingLines(stuck);
+        stuckLines.forEach(l => report.push({ ...base, type: 'line_short', scope: l.line, pins: [linePin(l.line, l.index)], indices: l.indices }));
+        unexplained(stuck, stuckLines).forEach(idx => pushKey('line_short', idx, { scope: 'key', pins: keyPins(positions.get(idx)) }));
+
+        // Ghost: a bridge between neighbouring lines, or a shorted diode letting current flow backwards.
+        // Units with a fault model explain ghosts in simulateFaults instead.
+        const ghost = hasFaultModel(unit) ? [] : tagged('ghost');
+        const ghostLines = failingLines(ghost).sort((a, b) => a.line.localeCompare(b.line) || a.index - b.index);
+        const bridges = [];
+        ghostLines.forEach(l => {
+            const last = bridges[bridges.length - 1];
+            if (last && last.line === l.line && last.to + 1 === l.index) {
+                last.to = l.index;
+                last.indices.push(...l.indices.filter(idx => !last.indices.includes(idx)));
+            } else {
+                bridges.push({ line: l.line, from: l.index, to: l.index, indices: [...l.indices] });
+            }
+        });
+        bridges.forEach(b => {
+            const pins = [];
+            for (let i = b.from; i <= b.to; i++) pins.push(linePin(b.line, i));
+            report.push({
+                ...base,
+                type: 'pin_bridge',
+                scope: b.line,
+                pins,
+                // A single failing line leaves its partner open: name both neighbours
+                neighbours: b.from === b.to ? neighbourPins(pMap[b.line] || [], b.from) : [],
+                indices: b.indices
             });
-        }
-
-        // Direct
-        if (pm.direct) {
-            Object.values(pm.direct).forEach(p => {
-                const key = getPinKey(p);
-                if (!db.pins[key]) db.pins[key] = { silk: "", line_diode: "", interrupt_diode: "" };
+        });
+        unexplained(ghost, ghostLines).forEach(idx => {
+            const pos = positions.get(idx);
+            if (unit.mode === 'direct') {
+                pushKey('pin_bridge', idx, { scope: 'key', pins: keyPins(pos), neighbours: neighbourPins(pMap.direct, pos.physC) });
+                return;
+            }
+            // In a charlieplex a shorted diode also fires the key wired the other way between the same two pins
+            let mirror = null;
+            if (unit.mode === 'charlieplex') {
+                positions.forEach((p, kIdx) => {
+                    if (p.physR === pos.physC && p.physC === pos.physR) mirror = kIdx;
+                });
+            }
+            pushKey('diode_short', idx, {
+                pins: keyPins(pos),
+                mirror,
+                indices: mirror !== null ? [idx, mirror] : [idx]
             });
-        }
+        });
 
-        // Interrupt
-        if (pm.interrupt) {
-            const p = pm.interrupt;
-            const key = getPinKey(p);
-            if (!db.pins[key]) db.pins[key] = { silk: "", description: "" };
+        // Wrong key: the firmware's idea of the wiring differs from the board
+        const wrong = tagged('wrong');
+        if (positions.size > 5 && wrong.length / positions.size > 0.5) {
+            report.push({ ...base, type: 'wiring_mismatch', scope: 'layout', indices: wrong });
+        } else {
+            const wrongLines = failingLines(wrong);
+            wrongLines.forEach(l => report.push({ ...base, type: 'wiring_mismatch', scope: l.line, pins: [linePin(l.line, l.index)], indices: l.indices }));
+            unexplained(wrong, wrongLines).forEach(idx => pushKey('wiring_mismatch', idx, { scope: 'key', pins: keyPins(positions.get(idx)) }));
         }
     });
 
-    // 2. Populate Keys
-    parsedData.matrixMap.forEach((m, i) => {
-        if (!m) return;
-        db.keys.push({
-            matrix: [m.r, m.c],
-            silk_sw: "",
-            silk_d: ""
-        });
-    });
-
-    return JSON.stringify(db, null, 2);
+    return report;
 }
 
-async function handleManualDatabaseUpload(e) {
-    const file = e.target.files[0];
-    if (!file) return;
+// Infers shorts from the "pressing A also fires B" records. A phantom key in A's column means the two rows
+// are bridged, one in A's row means the two columns are; in a charlieplex the key wired the other way
+// between A's two pins fires when A's diode is shorted.
+function analyzeExtraKeys(units, getSideAndPhysCoords) {
+    const report = [];
+    const unitsById = Object.fromEntries(units.map(u => [u.id, u]));
+    const shorts = new Map(); // unit id and pin pair -> line_pair_short item
+    const diodes = new Map(); // pressed key -> diode_short item
 
-    try {
-        const text = await file.text();
-        const json = JSON.parse(text);
-        parsedData.database = json;
-        console.log("Manual database loaded:", json);
-        
-        setStatus("手動データベースを読み込みました", "success");
-        document.getElementById('dlTemplateContainer').classList.add('hidden');
-        document.getElementById('dbManualSection').classList.add('hidden');
-        
-        // Redraw diagnosis if result area is visible
-        if (!document.getElementById('resultArea').classList.contains('hidden')) {
-            diagnose();
+    const linePin = (unit, line, i) => {
+        const pins = unit.mode === 'charlieplex' ? unit.pins.gpios : unit.pins[line];
+        return (pins && pins[i]) || 'Unknown';
+    };
+    const addShort = (unit, line, pinA, pinB, src, idx) => {
+        const pins = [pinA, pinB].sort();
+        const id = `${unit.id}|${pins.join('|')}`;
+        if (!shorts.has(id)) {
+            shorts.set(id, { type: 'line_pair_short', side: unit.side, unit: unit.ref, line, pins, pairs: [], indices: [] });
         }
-    } catch (err) {
-        console.error("Manual DB upload failed:", err);
-        setStatus("DBファイルの読み込みに失敗しました。", "error");
-    }
-}
+        const item = shorts.get(id);
+        item.pairs.push([src, idx]);
+        [src, idx].forEach(k => {
+            if (!item.indices.includes(k)) item.indices.push(k);
+        });
+    };
+    const indexAt = (side, physR, physC) => parsedData.matrixMap.findIndex(m => {
+        if (!m) return false;
+        const pos = getSideAndPhysCoords(m);
+        return pos.side === side && pos.physR === physR && pos.physC === physC;
+    });
 
-function downloadTemplate() {
-    const json = generateDatabaseTemplate();
-    const blob = new Blob([json], { type: 'application/json' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = 'matrix-diagnoser-database.json';
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    URL.revokeObjectURL(url);
-}
+    state.extraReports.forEach((fired, src) => {
+        if (!parsedData.matrixMap[src]) return;
+        const a = getSideAndPhysCoords(parsedData.matrixMap[src]);
+        const unit = unitsById[a.side];
+        if (!unit) return;
+
+        fired.forEach(idx => {
+            if (!parsedData.matrixMap[idx]) return;
+            const b = getSideAndPhysCoords(parsedData.matrixMap[idx]);
+            const unexplained = { type: 'extra_unexplained', side: unit.side, unit: unit.ref, index: src, fired: idx, indices: [src, idx] };
+
+            // Keys scanned by another kscan never share a wire with A
+            if (b.side !== a.side) {
+                report.push({ ...unexplained, crossUnit: true });
+                return;
+            }
+
+            if (unit.mode === 'direct') {
+                addShort(unit, 'pin', unit.pins.direct[a.physC] || 'Unknown', unit.pins.direct[b.physC] || 'Unknown', src, idx);
+            } else if (unit.mode === 'charlieplex' && b.physR === a.physC && b.physC === a.physR) {
+                if (!diodes.has(src)) {
+                    const m = parsedData.matrixMap[src];
+                    diodes.set(src, {
+                        type: 'diode_short',
+                        side: unit.side,
+                        unit: unit.ref,
+                        mode: unit.mode,
+                        r: m.r,
+                        c: m.c,
+                        index: src,
+                        pins: [linePin(unit, 'row', a.physR), linePin(unit, 'col', a.physC)],
+                        mirror: idx,
+                        indices: [src, idx]
+                    });
+                }
+            } else if (b.physC === a.physC && b.physR !== a.physR) {
+                addShort(unit, 'row', linePin(unit, 'row', a.physR), linePin(unit, 'row', b.physR), src, idx);
+            } else if (b.physR === a.physR && b.physC !== a.physC) {
+                addShort(unit, 'col', linePin(unit, 'col', a.physC), linePin(unit, 'col', b.physC), src, idx);
+            } else {
+                // Neither line shared: both a row pair and a column pair would have to be bridged, or the
+                // phantom is a ghost through the diodes of the keys at the other corners of the rectangle
+                report.push({
+                    ...unexplained,
+                    rowPins: [linePin(unit, 'row', a.physR), linePin(unit, 'row', b.physR)],
+                    colPins: [linePin(unit, 'col', a.physC), linePin(unit, 'col', b.physC)],
+                    corners: [indexAt(a.side, a.physR, b.physC), indexAt(a.side, b.physR, a.physC)].filter(k => k !== -1)
+                });
+            }
+        });
+    });
 
+    // Most-evidenced shorts first
+    const sorted = Array.from(shorts.values()).sort((x, y) => y.pairs.length - x.pairs.length);
+    return [...sorted, ...diodes.values(), ...report];
+}
 
 function analyzeFailures() {
-    const selected = Array.from(state.selectedIndices);
+    const selected = keysWithSymptom('dead');
     const report = [];
     
     // 1. Identify valid shields (those with pin definitions)
-    const validShields = Object.keys(parsedData.pinMap).filter(s => {
-        const p = parsedData.pinMap[s];
-        return (p.row && Object.keys(p.row).length > 0) || 
-               (p.col && Object.keys(p.col).length > 0) || 
-               (p.gpios && Object.keys(p.gpios).length > 0) ||
-               (p.direct && Object.keys(p.direct).length > 0);
-    });
+    const validShields = getValidShields();
 
     if (validShields.length === 0) return [];
 
-    // Helper to determine which shield a key belongs to and its local physical coordinates
+    // Groups below are per kscan unit: a side, or one child of a side's kscan-composite.
+    // "side" in the position is the unit id; physR / physC are relative to the unit.
+    const units = validShields.flatMap(getKscanUnits);
     const getSideAndPhysCoords = (m) => {
-        if (!m) return { side: validShields[0] || 'common', physC: 0, physR: 0 };
-        let bestShield = validShields[0];
-        let maxMatchScore = -1;
-        let physC = m.c;
-        let physR = m.r;
-
-        validShields.forEach(s => {
-            const offsetC = parsedData.pinMap[s].colOffset || 0;
-            const offsetR = parsedData.pinMap[s].rowOffset || 0;
-            
-            // Check if coordinates are within range (>= offset)
-            if (m.c >= offsetC && m.r >= offsetR) {
-                // The "best match" is the one with the largest offset that still contains the target
-                // This correctly handles split configurations where right side starts at some offset
-                const score = offsetC + offsetR;
-                if (score > maxMatchScore) {
-                    maxMatchScore = score;
-                    bestShield = s;
-                    physC = m.c - offsetC;
-                    physR = m.r - offsetR;
-                }
-            }
-        });
-
-        return { side: bestShield, physC, physR };
+        const pos = locateMatrixPosition(m, validShields);
+        const unit = locateKscanUnit(units, pos);
+        if (!unit) return { side: null, physR: pos.physR, physC: pos.physC };
+        return { side: unit.id, physR: pos.physR - unit.rowOffset, physC: pos.physC - unit.colOffset };
     };
 
     const groups = {};
     const counts = {};
-    const charlieCounts = {};
-    const charlieTotals = {};
     
-    validShields.forEach(s => {
-        groups[s] = { rows: {}, cols: {} };
-        counts[s] = { rows: {}, cols: {} };
-        charlieCounts[s] = { in: {}, out: {} };
-        charlieTotals[s] = { in: {}, out: {} };
+    units.forEach(({ id }) => {
+        groups[id] = { rows: {}, cols: {} };
+        counts[id] = { rows: {}, cols: {} };
     });
 
     // 2. Calculate totals for each side/physical coordinate
@@ -1180,16 +5902,6 @@ function analyzeFailures() {
         counts[side].rows[physR]++;
         if (!counts[side].cols[physC]) counts[side].cols[physC] = 0;
         counts[side].cols[physC]++;
-
-        if (parsedData.pinMap[side].gpios) {
-            charlieTotals[side].in[physR] = (charlieTotals[side].in[physR] || 0) + 1;
-            charlieTotals[side].out[physC] = (charlieTotals[side].out[physC] || 0) + 1;
-        }
-
-        // Direct mode totals (each key is unique)
-        if (parsedData.pinMap[side].direct) {
-            // No aggregation needed for direct, but we use the counts/totals structure to track it
-        }
     });
 
     // 3. Group selected keys
@@ -1204,136 +5916,42 @@ function analyzeFailures() {
         groups[side].rows[physR].push(idx);
         if (!groups[side].cols[physC]) groups[side].cols[physC] = [];
         groups[side].cols[physC].push(idx);
-
-        if (parsedData.pinMap[side].gpios) {
-            charlieCounts[side].in[physR] = (charlieCounts[side].in[physR] || 0) + 1;
-            charlieCounts[side].out[physC] = (charlieCounts[side].out[physC] || 0) + 1;
-        }
     });
 
     const coveredIndices = new Set();
 
     // 4. Analyze each side
-    validShields.forEach(side => {
-        const pMap = parsedData.pinMap[side];
-        if (!pMap) return;
-
-        // --- Interrupt logic ---
-        if (pMap.interrupt) {
-            let sideTotal = 0;
-            const sideIndices = [];
-            parsedData.matrixMap.forEach((m, idx) => {
-                if (!m) return;
-                const pos = getSideAndPhysCoords(m);
-                if (pos.side === side) {
-                    sideTotal++;
-                    sideIndices.push(idx);
-                }
-            });
-
-            const selectedOnSide = selected.filter(idx => {
-                const m = parsedData.matrixMap[idx];
-                return m && getSideAndPhysCoords(m).side === side;
-            }).length;
+    units.forEach(unit => {
+        const side = unit.id;
+        const pMap = unit.pins;
+
+        // Matrix, charlieplex and direct wiring are explained by simulating candidate faults
+        if (hasFaultModel(unit)) {
+            report.push(...simulateFaults(unit, getSideAndPhysCoords));
+            return;
+        }
 
-            if (sideTotal > 5 && (selectedOnSide / sideTotal) > 0.8) {
-                report.push({ 
-                    type: 'interrupt', 
-                    side, 
-                    pin: pMap.interrupt,
-                    indices: sideIndices
-                });
-                sideIndices.forEach(idx => coveredIndices.add(idx));
-            }
-        }
-
-        // --- Charlieplex Analysis ---
-        if (pMap.gpios) {
-            const gpios = pMap.gpios;
-            const allIndices = new Set([
-                ...(charlieTotals[side] ? Object.keys(charlieTotals[side].in) : []),
-                ...(charlieTotals[side] ? Object.keys(charlieTotals[side].out) : [])
-            ]);
-
-            allIndices.forEach(idxStr => {
-                const pIdx = parseInt(idxStr);
-                const inCount = charlieCounts[side].in[pIdx] || 0;
-                const inTotal = charlieTotals[side].in[pIdx] || 0;
-                const outCount = charlieCounts[side].out[pIdx] || 0;
-                const outTotal = charlieTotals[side].out[pIdx] || 0;
-
-                const inFail = inTotal > 0 && (inCount / inTotal) > 0.6;
-                const outFail = outTotal > 0 && (outCount / outTotal) > 0.6;
-
-                if (inFail || outFail) {
-                    let roleFail = 'both';
-                    if (inFail && !outFail) roleFail = 'in';
-                    else if (!inFail && outFail) roleFail = 'out';
-                    
-                    // Collect indices involved
-                    const indices = [];
-                    parsedData.matrixMap.forEach((m, kIdx) => {
-                        if (!m) return;
-                        const pos = getSideAndPhysCoords(m);
-                        if (pos.side === side) {
-                            if (roleFail === 'in' && pos.physR === pIdx) indices.push(kIdx);
-                            else if (roleFail === 'out' && pos.physC === pIdx) indices.push(kIdx);
-                            else if (roleFail === 'both' && (pos.physR === pIdx || pos.physC === pIdx)) indices.push(kIdx);
-                        }
-                    });
+        // --- Line statistics for demux and shift-register matrices ---
+        const lineReportStart = report.length;
 
-                    const involvedSelected = indices.filter(idx => selected.includes(idx));
-                    report.push({ 
-                        type: 'charlie', 
-                        side, 
-                        index: pIdx, 
-                        pin: gpios[pIdx] || 'Unknown',
-                        roleFail: roleFail,
-                        indices: involvedSelected
-                    });
-                    involvedSelected.forEach(idx => coveredIndices.add(idx));
-                }
-            });
-        } else if (pMap.direct) {
-            // --- Direct GPIO Analysis ---
-            // Count direct keys on this side
-            const directIndices = [];
-            parsedData.matrixMap.forEach((m, idx) => {
-                if (!m) return;
-                const pos = getSideAndPhysCoords(m);
-                if (pos.side === side && pMap.direct[pos.physC] !== undefined) {
-                    directIndices.push(idx);
-                }
+        // Nearly every key dead across several rows and columns: no single line explains that, but
+        // diodes fitted the other way round from diode-direction block every key in the scanned direction
+        const unitIndices = [];
+        parsedData.matrixMap.forEach((m, idx) => {
+            if (m && getSideAndPhysCoords(m).side === side) unitIndices.push(idx);
+        });
+        const selectedInUnit = unitIndices.filter(idx => selected.includes(idx)).length;
+        const multiLine = Object.keys(counts[side].rows).length > 1 && Object.keys(counts[side].cols).length > 1;
+        if (unit.mode === 'matrix' && multiLine && unitIndices.length > 5 && (selectedInUnit / unitIndices.length) > 0.8) {
+            report.push({
+                type: 'diode_direction_mismatch',
+                side: unit.side,
+                unit: unit.ref,
+                diodeDirection: unit.diodeDirection,
+                indices: unitIndices
             });
-
-            const selectedDirectOnSide = directIndices.filter(idx => selected.includes(idx));
-            
-            // If many direct keys are failing (e.g. > 80%), it's likely a common GND issue
-            if (directIndices.length > 2 && (selectedDirectOnSide.length / directIndices.length) > 0.8) {
-                report.push({
-                    type: 'direct_gnd',
-                    side,
-                    indices: directIndices
-                });
-                directIndices.forEach(idx => coveredIndices.add(idx));
-            } else {
-                // Otherwise report individual pin failures
-                selectedDirectOnSide.forEach(idx => {
-                    const m = parsedData.matrixMap[idx];
-                    const pos = getSideAndPhysCoords(m);
-                    const pin = pMap.direct[pos.physC] || 'Unknown';
-                    report.push({
-                        type: 'direct',
-                        side,
-                        pin,
-                        index: idx,
-                        indices: [idx]
-                    });
-                    coveredIndices.add(idx);
-                });
-            }
+            unitIndices.forEach(idx => coveredIndices.add(idx));
         } else {
-            // --- Standard Matrix Analysis ---
             // Rows
             if (groups[side] && groups[side].rows) {
                 for (const rStr in groups[side].rows) {
@@ -1344,9 +5962,11 @@ function analyzeFailures() {
                         const pin = pMap.row ? pMap.row[physR] : 'Unknown';
                         report.push({ 
                             type: 'row', 
-                            side, 
+                            side: unit.side,
+                            unit: unit.ref,
                             row: physR, 
                             pin,
+                            diodeDirection: unit.diodeDirection,
                             indices: groups[side].rows[physR]
                         });
                         groups[side].rows[physR].forEach(idx => coveredIndices.add(idx));
@@ -1354,7 +5974,9 @@ function analyzeFailures() {
                 }
             }
             // Cols
-            if (groups[side] && groups[side].cols) {
+            if (pMap.demux) {
+                analyzeDemuxColumns(unit, groups[side].cols, counts[side].cols, report, coveredIndices);
+            } else if (groups[side] && groups[side].cols) {
                 for (const cStr in groups[side].cols) {
                     const physC = parseInt(cStr);
                     const count = groups[side].cols[physC].length;
@@ -1363,9 +5985,11 @@ function analyzeFailures() {
                         const pin = pMap.col ? pMap.col[physC] : 'Unknown';
                         report.push({ 
                             type: 'col', 
-                            side, 
+                            side: unit.side,
+                            unit: unit.ref,
                             col: physC, 
                             pin,
+                            diodeDirection: unit.diodeDirection,
                             indices: groups[side].cols[physC]
                         });
                         groups[side].cols[physC].forEach(idx => coveredIndices.add(idx));
@@ -1374,9 +5998,11 @@ function analyzeFailures() {
             }
         }
 
+        if (pMap.shifters) regroupShiftRegisterLines(unit, report, lineReportStart);
+
         // --- Single Key Failures (Always check for uncovered indices) ---
         selected.forEach(idx => {
-            if (coveredIndices.has(idx)) return; // Already explained by row/col/charlie/interrupt
+            if (coveredIndices.has(idx)) return; // Already explained by a row, column, shifter or demux line
             
             const m = parsedData.matrixMap[idx];
             if (!m) return;
@@ -1384,9 +6010,12 @@ function analyzeFailures() {
             if (info.side === side) {
                 report.push({ 
                     type: 'single', 
-                    side, 
+                    side: unit.side,
+                    unit: unit.ref,
                     r: m.r, 
                     c: m.c, 
+                    mode: unit.mode,
+                    diodeDirection: unit.diodeDirection,
                     index: idx,
                     indices: [idx]
                 });
@@ -1394,5 +6023,505 @@ function analyzeFailures() {
         });
     });
 
+    report.push(...analyzeSymptoms(units, getSideAndPhysCoords));
+    report.push(...analyzeExtraKeys(units, getSideAndPhysCoords));
+
     return report;
 }
+
+
+// --- Fault Simulation ---
+
+// How likely each fault is before looking at the symptoms: a socket or a diode joint fails more often than
+// an MCU pin, and faults that take out a whole board are the rarest
+const FAULT_PRIORS = {
+    key: 0.02,
+    pin: 0.01,
+    lineDiode: 0.01,
+    interrupt: 0.01,
+    gnd: 0.01,
+    diodeShort: 0.01,
+    bridge: 0.01,
+    unitDown: 0.01,
+    diodeDirection: 0.005
+};
+const SYMPTOM_MISS_RATE = 0.02; // A key a fault affects that the user did not tag
+const UNEXPLAINED_RATE = 0.001; // A tagged key no chosen fault accounts for
+const EXPLANATION_BEAM = 30; // Explanations of each size kept while searching
+const EXPLANATION_MAX_FAULTS = 5; // Faults spanning several keys in one explanation
+const EXPLANATIONS_SHOWN = 3;
+const MIN_ALTERNATIVE_CONFIDENCE = 0.01;
+
+// Wiring with an electrical model; demux and shift-register units keep the line statistics
+function hasFaultModel(unit) {
+    return ['matrix', 'charlieplex', 'direct'].includes(unit.mode) && !unit.pins.shifters;
+}
+
+// Enumerates the faults of a unit, each with the keys it disables (dead) and the keys that fire another
+// key when pressed (ghost). Faults with the same effect share one hypothesis: an open key diode, a diode
+// fitted backwards and a dead socket all disable just that key, as an open line diode and an open
+// interrupt diode both stop that charlieplex pin from sensing.
+function enumerateFaults(unit, keys) {
+    const faults = [];
+    const pMap = unit.pins;
+    const all = keys.map(k => k.index);
+    const where = (pred) => keys.filter(pred).map(k => k.index);
+    const add = (prior, dead, ghost, item) => {
+        if (dead.length === 0 && ghost.length === 0) return;
+        faults.push({
+            prior,
+            dead: new Set(dead),
+            ghost: new Set(ghost),
+            item: { side: unit.side, unit: unit.ref, indices: [...dead, ...ghost], ...item }
+        });
+    };
+    const keyItem = (k) => ({ r: k.m.r, c: k.m.c, index: k.index });
+    // Pin lists are keyed by line number
+    const eachPin = (pins, fn) => Object.entries(pins || {}).forEach(([i, pin]) => fn(pin, parseInt(i)));
+
+    // A half where nothing works is far more often unpowered, not connected or running other firmware than
+    // wired wrong. Children of a kscan-composite share their MCU with the other children.
+    if (!unit.ref && keys.length > 1) add(FAULT_PRIORS.unitDown, all, [], { type: 'unit_down' });
+
+    if (unit.mode === 'direct') {
+        keys.forEach(k => add(FAULT_PRIORS.key, [k.index], [], { type: 'direct', pin: pMap.direct[k.physC] || 'Unknown' }));
+        if (keys.length > 1) add(FAULT_PRIORS.gnd, all, [], { type: 'direct_gnd' });
+        // Neighbouring pins bridged: each of the two keys also fires the other
+        eachPin(pMap.direct, (pin, i) => {
+            const pair = keys.filter(k => k.physC === i - 1 || k.physC === i);
+            if (i === 0 || pair.length !== 2) return;
+            add(FAULT_PRIORS.bridge, [], pair.map(k => k.index), {
+                type: 'pin_bridge', scope: 'key', ...keyItem(pair[0]), pins: [pMap.direct[i - 1], pin], neighbours: []
+            });
+        });
+        return faults;
+    }
+
+    const linePin = (line, i) => {
+        const pins = unit.mode === 'charlieplex' ? pMap.gpios : pMap[line];
+        return (pins && pins[i]) || 'Unknown';
+    };
+
+    if (unit.mode === 'charlieplex') {
+        eachPin(pMap.gpios, (pin, p) => {
+            // An open pin can neither drive nor sense
+            add(FAULT_PRIORS.pin, where(k => k.physR === p || k.physC === p), [], { type: 'charlie', index: p, pin, roleFail: 'both' });
+            add(FAULT_PRIORS.lineDiode, where(k => k.physR === p), [], { type: 'charlie', index: p, pin, roleFail: 'in' });
+        });
+    } else {
+        ['row', 'col'].forEach(line => {
+            const physOf = (k) => line === 'row' ? k.physR : k.physC;
+            eachPin(pMap[line], (pin, i) => {
+                add(FAULT_PRIORS.pin, where(k => physOf(k) === i), [], { type: line, [line]: i, pin, diodeDirection: unit.diodeDirection });
+                // Bridged to the previous line: a key fires its counterpart on the other line
+                if (i === 0) return;
+                const across = (k) => line === 'row' ? k.physC : k.physR;
+                const pair = keys.filter(k => (physOf(k) === i || physOf(k) === i - 1) &&
+                    keys.some(o => o !== k && across(o) === across(k) && physOf(o) === (physOf(k) === i ? i - 1 : i)));
+                add(FAULT_PRIORS.bridge, [], pair.map(k => k.index), {
+                    type: 'pin_bridge', scope: line, pins: [linePin(line, i - 1), pin], neighbours: []
+                });
+            });
+        });
+        // Every diode fitted against diode-direction blocks every key
+        const rows = new Set(keys.map(k => k.physR));
+        const cols = new Set(keys.map(k => k.physC));
+        if (rows.size > 1 && cols.size > 1) {
+            add(FAULT_PRIORS.diodeDirection, all, [], { type: 'diode_direction_mismatch', diodeDirection: unit.diodeDirection });
+        }
+    }
+
+    // Without its interrupt the kscan never starts a scan
+    if (pMap.interrupt && keys.length > 1) add(FAULT_PRIORS.interrupt, all, [], { type: 'interrupt', pin: pMap.interrupt });
+
+    keys.forEach(k => {
+        add(FAULT_PRIORS.key, [k.index], [], { type: 'single', ...keyItem(k), mode: unit.mode, diodeDirection: unit.diodeDirection });
+        // A shorted diode lets current flow backwards; in a charlieplex pressing the key then also fires the
+        // key wired the other way between the same two pins
+        const mirror = unit.mode === 'charlieplex' ? keys.find(o => o.physR === k.physC && o.physC === k.physR) : null;
+        add(FAULT_PRIORS.diodeShort, [], [k.index], {
+            type: 'diode_short',
+            ...keyItem(k),
+            mode: unit.mode,
+            pins: [linePin('row', k.physR), linePin('col', k.physC)],
+            mirror: mirror ? mirror.index : null,
+            indices: mirror ? [k.index, mirror.index] : [k.index]
+        });
+    });
+
+    return faults;
+}
+
+// Every tagged key can be blamed on a fault of its own (socket, key diode); an explanation picks a few faults
+// spanning several keys and leaves the rest of the tagged keys to those. Explanations are searched breadth
+// first, keeping the EXPLANATION_BEAM likeliest of each size, and a fault explaining nothing the others do
+// not is never kept. Each predicted key the user tagged counts for an explanation, each one left untagged
+// against it, so a line wins over single keys when enough of its keys are tagged, however short it is.
+// Returns the explanations likeliest first, with a confidence relative to all explanations found.
+function rankExplanations(faults, observed) {
+    const kinds = ['dead', 'ghost'];
+    const logHit = Math.log(1 - SYMPTOM_MISS_RATE);
+    const logMiss = Math.log(SYMPTOM_MISS_RATE);
+    const logUnexplained = Math.log(UNEXPLAINED_RATE);
+
+    // Tagged keys ('dead:12') each fault predicts
+    const hits = new Map(faults.map(fault => [fault, kinds.flatMap(kind =>
+        [...fault[kind]].filter(idx => observed[kind].has(idx)).map(idx => `${kind}:${idx}`))]));
+    const isPerKey = (fault) => fault.dead.size + fault.ghost.size === 1;
+    const perKey = new Map(); // tagged key -> likeliest fault of its own
+    faults.filter(isPerKey).forEach(fault => hits.get(fault).forEach(hit => {
+        if (!perKey.has(hit) || perKey.get(hit).prior < fault.prior) perKey.set(hit, fault);
+    }));
+    const spanning = faults.filter(fault => !isPerKey(fault) && hits.get(fault).length > 0);
+    const tagged = kinds.flatMap(kind => [...observed[kind]].map(idx => `${kind}:${idx}`));
+
+    // Completes a choice of spanning faults with the faults of their own of the keys left over
+    const complete = (chosen) => {
+        const covered = new Set(chosen.flatMap(fault => hits.get(fault)));
+        const all = [...chosen, ...tagged.filter(hit => !covered.has(hit) && perKey.has(hit)).map(hit => perKey.get(hit))];
+        const predicted = { dead: new Set(), ghost: new Set() };
+        let ll = 0;
+        all.forEach(fault => {
+            ll += Math.log(fault.prior);
+            kinds.forEach(kind => fault[kind].forEach(idx => predicted[kind].add(idx)));
+        });
+        kinds.forEach(kind => {
+            predicted[kind].forEach(idx => ll += observed[kind].has(idx) ? logHit : logMiss);
+            observed[kind].forEach(idx => {
+                if (!predicted[kind].has(idx)) ll += logUnexplained;
+            });
+        });
+        const recheck = new Set();
+        kinds.forEach(kind => predicted[kind].forEach(idx => {
+            if (!observed[kind].has(idx)) recheck.add(idx);
+        }));
+        return { faults: all, ll, recheck: Array.from(recheck) };
+    };
+    // A spanning fault is redundant when the others already predict all of its tagged keys
+    const isMinimal = (chosen) => chosen.every(fault => {
+        const others = new Set(chosen.filter(o => o !== fault).flatMap(o => hits.get(o)));
+        return hits.get(fault).some(hit => !others.has(hit));
+    });
+
+    const found = [complete([])];
+    let beam = [[]];
+    for (let size = 1; size <= EXPLANATION_MAX_FAULTS && beam.length > 0; size++) {
+        const candidates = [];
+        beam.forEach(chosen => {
+            const last = chosen.length > 0 ? chosen[chosen.length - 1] : -1;
+            const covered = new Set(chosen.flatMap(i => hits.get(spanning[i])));
+            spanning.forEach((fault, i) => {
+                if (i <= last || !hits.get(fault).some(hit => !covered.has(hit))) return;
+                const next = [...chosen, i];
+                candidates.push({ next, explanation: complete(next.map(k => spanning[k])) });
+            });
+        });
+        candidates.sort((x, y) => y.explanation.ll - x.explanation.ll);
+        beam = candidates.slice(0, EXPLANATION_BEAM).map(c => c.next);
+        candidates.slice(0, EXPLANATION_BEAM).forEach(c => {
+            if (isMinimal(c.next.map(k => spanning[k]))) found.push(c.explanation);
+        });
+    }
+
+    found.sort((x, y) => y.ll - x.ll || x.faults.length - y.faults.length);
+    const best = found[0].ll;
+    const total = found.reduce((sum, e) => sum + Math.exp(e.ll - best), 0);
+    found.forEach(e => e.confidence = Math.exp(e.ll - best) / total);
+    return found;
+}
+
+// One explanation item per likely explanation of the unit's tagged keys, likeliest first. Each fault
+// carries how many of the keys it predicts were tagged.
+function simulateFaults(unit, getSideAndPhysCoords) {
+    const keys = [];
+    parsedData.matrixMap.forEach((m, index) => {
+        if (!m) return;
+        const pos = getSideAndPhysCoords(m);
+        if (pos.side === unit.id) keys.push({ index, m, physR: pos.physR, physC: pos.physC });
+    });
+    const inUnit = new Set(keys.map(k => k.index));
+    const observed = {
+        dead: new Set(keysWithSymptom('dead').filter(idx => inUnit.has(idx))),
+        ghost: new Set(keysWithSymptom('ghost').filter(idx => inUnit.has(idx)))
+    };
+    if (observed.dead.size === 0 && observed.ghost.size === 0) return [];
+
+    return rankExplanations(enumerateFaults(unit, keys), observed)
+        .filter((e, rank) => rank === 0 || (rank < EXPLANATIONS_SHOWN && e.confidence >= MIN_ALTERNATIVE_CONFIDENCE))
+        .map((e, rank) => {
+            const faults = e.faults.map(fault => {
+                const matched = [...fault.dead].filter(idx => observed.dead.has(idx)).length +
+                    [...fault.ghost].filter(idx => observed.ghost.has(idx)).length;
+                return { ...fault.item, match: { predicted: fault.dead.size + fault.ghost.size, matched } };
+            });
+            return {
+                type: 'explanation',
+                side: unit.side,
+                unit: unit.ref,
+                rank,
+                confidence: e.confidence,
+                recheck: e.recheck,
+                faults,
+                indices: [...new Set(faults.flatMap(f => f.indices))],
+                wiring: { unit, keys }
+            };
+        });
+}
+
+// --- Continuity Test Wizard ---
+
+// The wizard splits the faults of a unit's explanations into the parts a multimeter can check (a pad, a
+// trace, a socket, a diode) and asks for one measurement at a time. Each test fails for a known set of
+// parts; the one asked next is the one whose outcome is the least predictable given the remaining
+// candidates, so either answer removes as much of their probability as possible. A failed test keeps only
+// the parts it fails for: the session looks for one bad part, and repairing it comes before anything else.
+let wizardSession = null; // { parts: Map(id -> part), tests: Map(id -> test), history: [{ test, failed }] }
+
+function startWizard(explanations) {
+    const parts = new Map();
+    const tests = new Map();
+    const addPart = (id, label, weight) => {
+        if (!parts.has(id)) parts.set(id, { id, label, weight: 0 });
+        parts.get(id).weight += weight;
+    };
+    const addTest = (id, text, fails) => {
+        if (!tests.has(id)) tests.set(id, { id, text, fails: new Set() });
+        fails.forEach(partId => tests.get(id).fails.add(partId));
+    };
+
+    const total = explanations.reduce((sum, e) => sum + e.confidence, 0);
+    explanations.forEach(e => e.faults.forEach(fault => {
+        const found = wizardPartsOfFault(fault, e.wiring, addTest);
+        found.forEach(({ id, label }) => addPart(id, label, e.confidence / total / found.length));
+    }));
+
+    wizardSession = { parts, tests, history: [] };
+    document.getElementById('wizardArea').classList.remove('hidden');
+    renderWizard();
+}
+
+function closeWizard() {
+    wizardSession = null;
+    document.getElementById('wizardArea').classList.add('hidden');
+}
+
+// Parts that can cause a simulated fault, registering the tests that tell them apart.
+// Part labels and test texts are HTML, so every silk name going into them is escaped.
+function wizardPartsOfFault(f, { unit, keys }, addTest) {
+    const side = unit.side;
+    const silk = pin => escapeHtml(getPinInfo(side, pin).silk);
+    const byIndex = new Map(keys.map(k => [k.index, k]));
+    const keyLabels = (idx) => {
+        const m = parsedData.matrixMap[idx];
+        const info = getKeyInfo(m.r, m.c);
+        return {
+            sw: escapeHtml(info?.silk_sw || `SW (RC:${m.r},${m.c})`),
+            d: escapeHtml(info?.silk_d || `ダイオード (RC:${m.r},${m.c})`)
+        };
+    };
+    const lines = describeMatrixLines(unit.diodeDirection);
+
+    const pad = (pin) => {
+        const id = `pad:${pin}`;
+        addTest(id, `導通モードで、マイコン (モジュール) のピン <strong>${silk(pin)}</strong> の端子と、その下の基板のパッドの間を測ってください。導通があれば正常です。`, [id]);
+        return { id, label: `マイコンのピン ${silk(pin)} のハンダ付け` };
+    };
+    // The line from an MCU pin up to one of its keys; a bad pad joint fails the measurement as well
+    const trace = (pin, idx, end) => {
+        const id = `trace:${pin}`;
+        addTest(`reach:${pin}:${idx}`, `導通モードで、マイコン (モジュール) のピン <strong>${silk(pin)}</strong> の端子と、${end} の間を測ってください。導通があれば正常です。`, [`pad:${pin}`, id]);
+        return { id, label: `ピン ${silk(pin)} からキーまでの配線` };
+    };
+    // Where a key meets one of its pins. Boards put the key diode between the switch and the sense line,
+    // so the sense line reaches the diode's cathode and the drive line the switch.
+    const keyEnd = (pin, idx) => {
+        const { sw, d } = keyLabels(idx);
+        if (unit.mode === 'direct') return `<strong>${sw}</strong> の GND ではない側の端子`;
+        if (unit.mode === 'charlieplex') return `<strong>${sw}</strong> / <strong>${d}</strong> のうちピン ${silk(pin)} につながる側の端子`;
+        const k = byIndex.get(idx);
+        const isSense = (lines.sense === 'row' ? unit.pins.row[k.physR] : unit.pins.col[k.physC]) === pin;
+        return isSense ? `<strong>${d}</strong> のカソード (帯の側)` : `<strong>${sw}</strong> のダイオードにつながっていない側の端子`;
+    };
+    const line = (pin, idx) => [pad(pin), trace(pin, idx, keyEnd(pin, idx))];
+    const keySwitch = (idx) => {
+        const { sw } = keyLabels(idx);
+        const id = `switch:${idx}`;
+        addTest(id, `<strong>${sw}</strong> を押したまま、スイッチの 2 つの端子 (ソケットのパッド) の間を導通モードで測ってください。導通があれば正常です。`, [id]);
+        return { id, label: `スイッチ ${sw} (本体・ソケットのハンダ付け)` };
+    };
+    // Measuring a key diode also shows it fitted against diode-direction
+    const keyDiode = (idx) => {
+        const { d } = keyLabels(idx);
+        const id = `diode:${idx}`;
+        const how = unit.mode === 'matrix'
+            ? `赤プローブを${lines.drive === 'col' ? '列 (Column)' : '行 (Row)'}側、黒プローブを${lines.cathodeSide}側の端子に当てて 0.3〜0.8V 程度、逆に当てて OL`
+            : `一方の向きで 0.3〜0.8V 程度、逆向きで OL`;
+        addTest(id, `ダイオードモードで <strong>${d}</strong> を測ってください。${how}なら正常です。`, [id, 'diodes_reversed']);
+        return { id, label: `ダイオード ${d} (ハンダ付け・向き・短絡)` };
+    };
+    // The whole path of a pressed key, from the pin driving it to the pin sensing it
+    const keyPath = (idx) => {
+        const k = byIndex.get(idx);
+        const [drive, sense] = unit.mode === 'charlieplex'
+            ? [unit.pins.gpios[k.physC], unit.pins.gpios[k.physR]]
+            : [lines.drive === 'col' ? unit.pins.col[k.physC] : unit.pins.row[k.physR], lines.sense === 'row' ? unit.pins.row[k.physR] : unit.pins.col[k.physC]];
+        if (!drive || !sense) return;
+        const { sw } = keyLabels(idx);
+        addTest(`path:${idx}`, `<strong>${sw}</strong> を押したまま、ダイオードモードで赤プローブをマイコンのピン <strong>${silk(drive)}</strong>、黒プローブをピン <strong>${silk(sense)}</strong> の端子に当ててください。0.3〜0.8V 程度なら正常です。`,
+            [`switch:${idx}`, `diode:${idx}`, 'diodes_reversed', ...[drive, sense].flatMap(pin => [`pad:${pin}`, `trace:${pin}`])]);
+    };
+    const pinDiode = (pin, kind) => {
+        const diode = getPinInfo(side, pin)[kind === 'line' ? 'line_diode' : 'interrupt_diode'];
+        const name = diode ? escapeHtml(diode) : `ピン ${silk(pin)} の ${kind === 'line' ? 'Line' : 'Interrupt'} Diode`;
+        const id = `${kind}_diode:${pin}`;
+        addTest(id, `ダイオードモードで <strong>${name}</strong> を測ってください。一方の向きで 0.3〜0.8V 程度、逆向きで OL なら正常です。`, [id]);
+        return { id, label: `${kind === 'line' ? 'Line' : 'Interrupt'} Diode ${name} (ハンダ付け・向き)` };
+    };
+
+    switch (f.type) {
+        case 'single':
+            keyPath(f.index);
+            return [keySwitch(f.index), keyDiode(f.index)];
+        case 'direct':
+            return [...line(f.pin, f.indices[0]), keySwitch(f.indices[0])];
+        case 'row':
+        case 'col':
+            return line(f.pin, f.indices[0]);
+        case 'charlie':
+            if (f.roleFail === 'in') {
+                return unit.pins.interrupt ? [pinDiode(f.pin, 'line'), pinDiode(f.pin, 'interrupt')] : [pinDiode(f.pin, 'line')];
+            }
+            return line(f.pin, f.indices[0]);
+        case 'interrupt': {
+            const first = Object.values(unit.pins.gpios || {})[0];
+            const diode = first && getPinInfo(side, first).interrupt_diode;
+            return [pad(f.pin), trace(f.pin, 'int', diode ? `<strong>${escapeHtml(diode)}</strong> のピン ${silk(f.pin)} 側の端子` : 'この線につながるダイオードの端子')];
+        }
+        case 'unit_down':
+            addTest('power', '電圧モードで、マイコンの VCC (3V3) ピンと GND ピンの間を測ってください。3.3V 前後なら正常です。', ['power']);
+            return [{ id: 'power', label: 'マイコンの電源 (USB・バッテリー・電源スイッチ)' }];
+        case 'direct_gnd': {
+            const { sw } = keyLabels(f.indices[0]);
+            addTest('gnd', `導通モードで、マイコンの GND ピンの端子と、<strong>${sw}</strong> の GND 側の端子の間を測ってください。導通があれば正常です。`, ['gnd']);
+            return [{ id: 'gnd', label: '共通 GND ピンのハンダ付け・配線' }];
+        }
+        case 'pin_bridge': {
+            const id = `bridge:${f.pins.join(':')}`;
+            addTest(id, `導通モードで、ピン <strong>${silk(f.pins[0])}</strong> と <strong>${silk(f.pins[1])}</strong> の端子の間を測ってください。導通が無ければ正常です。`, [id]);
+            return [{ id, label: `ピン ${silk(f.pins[0])} と ${silk(f.pins[1])} の間のハンダブリッジ` }];
+        }
+        case 'diode_short':
+            return [keyDiode(f.index)];
+        case 'diode_direction_mismatch':
+            // Any key diode shows it; measuring two keeps one bad diode from passing for all of them
+            f.indices.slice(0, 2).forEach(keyDiode);
+            return [{ id: 'diodes_reversed', label: `全てのダイオードの向き (diode-direction: ${escapeHtml(unit.diodeDirection || 'col2row')} と基板の不一致)` }];
+        default:
+            return [];
+    }
+}
+
+// Parts not ruled out by the answers so far, and whether one of the answers was a failure
+function wizardCandidates() {
+    let candidates = Array.from(wizardSession.parts.values());
+    let failed = false;
+    wizardSession.history.forEach(({ test, failed: testFailed }) => {
+        candidates = candidates.filter(p => test.fails.has(p.id) === testFailed);
+        failed = failed || testFailed;
+    });
+    return { candidates, failed };
+}
+
+// The test whose outcome is the least predictable, or, with one candidate left that no test has failed
+// for yet, the most specific test confirming it. Null when no test tells the candidates apart.
+function nextWizardTest(candidates, failed) {
+    const done = new Set(wizardSession.history.map(h => h.test.id));
+    const total = candidates.reduce((sum, p) => sum + p.weight, 0);
+    const entropy = (q) => q <= 0 || q >= 1 ? 0 : -(q * Math.log2(q) + (1 - q) * Math.log2(1 - q));
+    let best = null;
+    wizardSession.tests.forEach(test => {
+        if (done.has(test.id)) return;
+        const hit = candidates.filter(p => test.fails.has(p.id));
+        if (hit.length === 0) return;
+        const gain = entropy(hit.reduce((sum, p) => sum + p.weight, 0) / total);
+        const confirms = hit.length === candidates.length && !failed;
+        if (gain === 0 && !confirms) return;
+        if (!best || gain > best.gain || (gain === best.gain && test.fails.size < best.test.fails.size)) {
+            best = { test, gain };
+        }
+    });
+    return best ? best.test : null;
+}
+
+function answerWizard(test, failed) {
+    wizardSession.history.push({ test, failed });
+    renderWizard();
+}
+
+function renderWizard() {
+    const content = document.getElementById('wizardContent');
+    content.innerHTML = '';
+    const { candidates, failed } = wizardCandidates();
+    const total = candidates.reduce((sum, p) => sum + p.weight, 0);
+
+    const button = (label, className, onClick) => {
+        const btn = document.createElement('button');
+        btn.className = `btn ${className}`;
+        btn.textContent = label;
+        btn.addEventListener('click', onClick);
+        return btn;
+    };
+    const step = document.createElement('div');
+    step.className = 'wizard-step';
+    const next = candidates.length === 1 && failed ? null : nextWizardTest(candidates, failed);
+
+    if (candidates.length === 0) {
+        step.innerHTML = `<strong>全ての候補が除外されました。</strong><p>測定結果をもう一度確認するか、キーの症状を選び直して診断してください。</p>`;
+    } else if (candidates.length === 1 && failed) {
+        step.classList.add('confirmed');
+        step.innerHTML = `<strong>故障箇所: ${candidates[0].label}</strong><p>この部品を修理してから、もう一度キーの入力を確認してください。</p>`;
+    } else if (next) {
+        step.innerHTML = `<strong>テスト ${wizardSession.history.length + 1}</strong><p>${next.text}</p>`;
+        const actions = document.createElement('div');
+        actions.className = 'wizard-actions';
+        actions.appendChild(button('正常', 'btn-secondary', () => answerWizard(next, false)));
+        actions.appendChild(button('異常', 'btn-primary', () => answerWizard(next, true)));
+        step.appendChild(actions);
+    } else {
+        step.innerHTML = `<strong>これ以上テストで絞り込めません。</strong><p>残りの候補を順に確認してください。</p>`;
+    }
+    content.appendChild(step);
+
+    if (candidates.length > 0) {
+        const list = document.createElement('ul');
+        list.className = 'wizard-candidates';
+        candidates.sort((a, b) => b.weight - a.weight).forEach(p => {
+            const li = document.createElement('li');
+            li.innerHTML = `<span>${p.label}</span><span class="confidence">${Math.round(p.weight / total * 100)}%</span>`;
+            list.appendChild(li);
+        });
+        content.appendChild(list);
+    }
+
+    if (wizardSession.history.length > 0) {
+        const log = document.createElement('ol');
+        log.className = 'wizard-history';
+        wizardSession.history.forEach(({ test, failed: testFailed }) => {
+            const li = document.createElement('li');
+            li.innerHTML = `${test.text} → <strong>${testFailed ? '異常' : '正常'}</strong>`;
+            log.appendChild(li);
+        });
+        content.appendChild(log);
+    }
+
+    const controls = document.createElement('div');
+    controls.className = 'wizard-actions';
+    if (wizardSession.history.length > 0) {
+        controls.appendChild(button('1 つ戻る', 'btn-secondary', () => {
+            wizardSession.history.pop();
+            renderWizard();
+        }));
+    }
+    controls.appendChild(button('終了', 'btn-secondary', closeWizard));
+    content.appendChild(controls);
+}